@@ -0,0 +1,180 @@
+/**
+ * 圖文選單動作處理器
+ * 處理圖文選單與快速回覆中的搜尋、收藏與設定所屬單位
+ */
+
+import lineClient from '../line/client.js';
+import replyService from '../line/reply.js';
+import lineMessage from '../line/message.js';
+import favoritesService from '../services/favorites.js';
+import knowledgeService from '../services/knowledge.js';
+import textUtils from '../utils/text.js';
+import logger from '../utils/logger.js';
+
+/**
+ * 回應「搜尋」：提示用戶輸入關鍵詞（選單按鈕會同時開啟鍵盤）
+ * @param {Object} event LINE事件對象
+ * @returns {Promise<any>} 處理結果
+ */
+async function handleSearchPrompt(event) {
+  return await replyService.replyWithOverflow(
+    event,
+    lineMessage.createTextMessage('請輸入要查詢的關鍵詞，例如「CVVH」、「透析」，或設備、流程的名稱。')
+  );
+}
+
+/**
+ * 顯示用戶收藏的知識條目
+ * @param {Object} event LINE事件對象
+ * @returns {Promise<any>} 處理結果
+ */
+async function handleFavorites(event) {
+  const { source } = event;
+  const userId = source.userId;
+  
+  logger.info(`用戶 ${userId} 查看收藏`);
+  
+  try {
+    const favoriteIds = await favoritesService.getFavorites(userId);
+    const entries = (await Promise.all(favoriteIds.map(id => knowledgeService.getKnowledgeById(id))))
+      .filter(entry => entry !== null);
+    
+    if (entries.length === 0) {
+      return await replyService.replyWithOverflow(event, lineMessage.createTextMessage(
+        '您還沒有收藏任何知識條目。查看知識條目時，點選下方的「加入收藏」即可收藏。'
+      ));
+    }
+    
+    const columns = entries.map(entry => {
+      const title = textUtils.extractTitle(entry.text);
+      
+      return lineMessage.createCarouselColumn(
+        truncateText(title, 40),
+        truncateText(textUtils.extractDescription(entry.text), 60),
+        [
+          lineMessage.createPostbackAction(
+            '查看完整內容',
+            lineMessage.createPostbackData('open', { id: entry.id }),
+            title
+          ),
+          lineMessage.createPostbackAction(
+            '移除收藏',
+            lineMessage.createPostbackData('favorite', { id: entry.id, op: 'remove' }),
+            '移除收藏'
+          )
+        ]
+      );
+    });
+    
+    const messages = [
+      lineMessage.createTextMessage(`您收藏了 ${entries.length} 個知識條目：`),
+      lineMessage.createCarouselMessage('我的收藏', columns)
+    ];
+    
+    return await replyService.replyWithOverflow(event, messages);
+  } catch (error) {
+    logger.error('查看收藏時發生錯誤', { userId, error });
+    
+    return await replyService.replyWithOverflow(event, {
+      type: 'text',
+      text: '抱歉，我在處理您的訊息時遇到了問題。請稍後再試。'
+    });
+  }
+}
+
+/**
+ * 將知識條目加入或移出收藏
+ * @param {Object} event LINE事件對象
+ * @param {string} id 知識條目ID
+ * @param {string} [op] add（預設）或 remove
+ * @returns {Promise<any>} 處理結果
+ */
+async function handleFavoriteChange(event, id, op = 'add') {
+  const { source } = event;
+  const userId = source.userId;
+  
+  logger.info(`用戶 ${userId} 變更收藏`, { id, op });
+  
+  try {
+    const entry = await knowledgeService.getKnowledgeById(id);
+    const title = entry ? textUtils.extractTitle(entry.text) : id;
+    
+    if (op === 'remove') {
+      await favoritesService.removeFavorite(userId, id);
+      return await replyService.replyWithOverflow(event, lineMessage.createTextMessage(`已將「${title}」移出收藏。`));
+    }
+    
+    if (!entry) {
+      return await replyService.replyWithOverflow(event, {
+        type: 'text',
+        text: '抱歉，找不到這個知識條目，它可能已被移除或更新。'
+      });
+    }
+    
+    await favoritesService.addFavorite(userId, id);
+    
+    return await replyService.replyWithOverflow(event, lineMessage.createQuickReplyBuilder()
+      .addPostback('我的收藏', lineMessage.createPostbackData('favorites'))
+      .applyTo(lineMessage.createTextMessage(`已將「${title}」加入收藏，可從選單的「收藏」開啟。`)));
+  } catch (error) {
+    logger.error('變更收藏時發生錯誤', { userId, id, op, error });
+    
+    return await replyService.replyWithOverflow(event, {
+      type: 'text',
+      text: '抱歉，我在處理您的訊息時遇到了問題。請稍後再試。'
+    });
+  }
+}
+
+/**
+ * 設定用戶的所屬單位：連結該部門的圖文選單；未指定部門時恢復主選單
+ * @param {Object} event LINE事件對象
+ * @param {string} [department] 部門代碼
+ * @returns {Promise<any>} 處理結果
+ */
+async function handleSetUnit(event, department) {
+  const { source } = event;
+  const userId = source.userId;
+  
+  logger.info(`用戶 ${userId} 設定所屬單位`, { department });
+  
+  try {
+    if (!department) {
+      await lineClient.unlinkRichMenu(userId);
+      return await replyService.replyWithOverflow(event, lineMessage.createTextMessage(
+        '已恢復主選單。請從選單選擇部門，再點選「設為我的單位」。'
+      ));
+    }
+    
+    await lineClient.linkDepartmentRichMenu(userId, department);
+    
+    const unit = department.toUpperCase();
+    return await replyService.replyWithOverflow(event, lineMessage.createTextMessage(
+      `已將您的單位設為 ${unit}，選單已切換為 ${unit} 選單。`
+    ));
+  } catch (error) {
+    logger.error('設定所屬單位時發生錯誤', { userId, department, error });
+    
+    return await replyService.replyWithOverflow(event, {
+      type: 'text',
+      text: '抱歉，目前無法切換選單，請稍後再試。'
+    });
+  }
+}
+
+/**
+ * 截斷超過長度限制的文字
+ * @param {string} text 原始文字
+ * @param {number} maxLength 最大長度
+ * @returns {string} 截斷後的文字
+ */
+function truncateText(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength - 3) + '...' : text;
+}
+
+export default {
+  handleSearchPrompt,
+  handleFavorites,
+  handleFavoriteChange,
+  handleSetUnit
+};
@@ -3,12 +3,56 @@
  * 處理用戶發送的文字訊息
  */
 
-import lineClient from '../line/client';
-import lineMessage from '../line/message';
-import dialogService from '../services/dialog';
-import knowledgeService from '../services/knowledge';
-import responseService from '../services/response';
-import logger from '../utils/logger';
+import lineMessage from '../line/message.js';
+import replyService from '../line/reply.js';
+import dialogService from '../services/dialog.js';
+import knowledgeService from '../services/knowledge.js';
+import responseService from '../services/response.js';
+import followupService from '../services/followup.js';
+import walkthroughHandler from './walkthrough.js';
+import textUtils from '../utils/text.js';
+import mediaUtils from '../utils/media.js';
+import logger from '../utils/logger.js';
+
+// 部門名稱映射
+const DEPARTMENT_NAMES = {
+  'icu': 'ICU加護病房',
+  'er': 'ER急診',
+  'ward': 'Ward病房',
+  'or': 'OR手術室',
+  'opd': 'OPD門診',
+  'nurse': 'Nurse護理部通用'
+};
+
+// 文字形式的逐步教學指令
+const STEP_COMMANDS = {
+  '下一步': 'next',
+  '上一步': 'prev',
+  '結束': 'end'
+};
+
+// 知識條目頁尾最多顯示的相關條目按鈕數
+const MAX_RELATED_BUTTONS = 2;
+
+// 回答知識條目後，快速回覆最多提供的相關關鍵詞數
+const MAX_RELATED_KEYWORD_CHIPS = 4;
+
+// LINE輪播模板最多支持10個欄位
+const MAX_CAROUSEL_COLUMNS = 10;
+
+// 部門列表每個輪播欄位的條目數（輪播模板每個欄位最多3個按鈕）
+const DEPARTMENT_LIST_COLUMN_SIZE = 3;
+
+// 部門列表每頁的條目數：一個輪播訊息最多10個欄位
+const DEPARTMENT_LIST_PAGE_SIZE = DEPARTMENT_LIST_COLUMN_SIZE * MAX_CAROUSEL_COLUMNS;
+
+// 部門列表的排序方式與顯示名稱（order 為上傳時的 order 欄位順序）
+const DEPARTMENT_SORTS = {
+  'order': '預設排序',
+  'title': '依標題排序',
+  'views': '最多瀏覽',
+  'updated': '最近更新'
+};
 
 /**
  * 處理文字訊息
@@ -16,7 +60,7 @@ import logger from '../utils/logger';
  * @returns {Promise<any>} 處理結果
  */
 async function handleText(event) {
-  const { message, replyToken, source } = event;
+  const { message, source } = event;
   const { text } = message;
   const userId = source.userId;
   
@@ -25,9 +69,20 @@ async function handleText(event) {
   try {
     // 記錄對話
     await dialogService.recordUserMessage(userId, text);
-
-    // 獲取知識庫回應
-    const response = await knowledgeService.getResponse(text);
+    
+    // 逐步教學指令
+    const stepCommand = STEP_COMMANDS[text.trim()];
+    if (stepCommand) {
+      const handled = await handleStepText(event, stepCommand);
+      if (handled) {
+        return handled;
+      }
+    }
+    
+    // 先嘗試將沒有主題的追問對應到上一次的回應，再以一般查詢獲取知識庫回應
+    const lastTopic = await dialogService.getLastTopic(userId);
+    const response = await followupService.resolveFollowUp(text, lastTopic) ||
+      await knowledgeService.getResponse(text);
     
     if (response) {
       // 如果有匹配的知識庫回應
@@ -36,38 +91,105 @@ async function handleText(event) {
       // 生成回覆訊息
       const replyMessages = await generateReplyMessages(response);
       
-      // 記錄機器人回應
-      await dialogService.recordBotMessage(userId, replyMessages);
+      // 記錄機器人回應與主題，供之後的追問使用
+      const topic = getResponseTopic(response);
+      if (topic) {
+        await dialogService.recordBotMessage(userId, topic);
+      }
+      await endSupersededWalkthrough(userId, topic);
+      
+      if (topic && topic.entryId) {
+        knowledgeService.recordView(topic.entryId);
+      }
       
       // 發送回覆
-      return await lineClient.replyMessage(replyToken, replyMessages);
+      return await replyService.replyWithOverflow(event, replyMessages);
     } else {
       // 如果沒有匹配的知識庫回應，則生成一般回應
       logger.debug('未找到知識庫回應，生成一般回應');
       
-      // 生成一般回應
-      const generalResponse = await responseService.generateGeneralResponse(text);
-      
-      // 記錄機器人回應
-      await dialogService.recordBotMessage(userId, generalResponse);
+      // 生成後備回應，有相似的關鍵詞時提供建議
+      const suggestions = await knowledgeService.getSuggestions(text);
+      const fallbackMessage = await responseService.generateFallbackMessage(text, suggestions);
       
       // 發送回覆
-      return await lineClient.replyMessage(replyToken, {
-        type: 'text',
-        text: generalResponse
-      });
+      return await replyService.replyWithOverflow(event, fallbackMessage);
     }
   } catch (error) {
     logger.error('處理文字訊息時發生錯誤', { error });
     
     // 發送錯誤回應
-    return await lineClient.replyMessage(replyToken, {
+    return await replyService.replyWithOverflow(event, {
       type: 'text',
       text: '抱歉，我在處理您的訊息時遇到了問題。請稍後再試。'
     });
   }
 }
 
+/**
+ * 處理文字形式的「下一步」、「上一步」、「結束」
+ * 逐步教學進行中時切換步驟；否則若上一次回答的是SOP條目，從對應的步驟開始逐步教學
+ * @param {Object} event LINE事件對象
+ * @param {string} command 指令：next、prev 或 end
+ * @returns {Promise<any|null>} 處理結果，不是逐步教學指令時為null
+ */
+async function handleStepText(event, command) {
+  const userId = event.source.userId;
+  
+  if (await dialogService.getWalkthroughState(userId)) {
+    return await walkthroughHandler.handleStepCommand(event, command);
+  }
+  
+  const topic = await dialogService.getLastTopic(userId);
+  if (command === 'end' || !topic || !topic.entryId) {
+    return null;
+  }
+  
+  // 上一次回答的是某個步驟時，從相鄰的步驟開始；已是第一步或最後一步時由逐步教學提示
+  if (/^step-\d+$/.test(topic.anchor || '')) {
+    return await walkthroughHandler.startWalkthrough(event, topic.entryId, topic.anchor, command);
+  }
+  
+  return await walkthroughHandler.startWalkthrough(event, topic.entryId);
+}
+
+/**
+ * 回答了其他條目或另一個步驟後，結束原本進行中的逐步教學，讓「下一步」接續新的回答
+ * @param {string} userId 用戶ID
+ * @param {Object|null} topic 這次回應的主題
+ */
+async function endSupersededWalkthrough(userId, topic) {
+  const walkthrough = await dialogService.getWalkthroughState(userId);
+  if (!walkthrough || !topic) {
+    return;
+  }
+  
+  const isStepAnswer = (topic.anchor || '').startsWith('step-');
+  if (topic.entryId !== walkthrough.entryId || isStepAnswer) {
+    await dialogService.clearWalkthroughState(userId);
+  }
+}
+
+/**
+ * 取得回應的主題，記錄在對話歷史中供追問使用
+ * @param {Object} response 知識庫回應
+ * @returns {Object|null} 主題 { entryId, anchor } 或 { department }，多個候選待選擇時為null
+ */
+function getResponseTopic(response) {
+  if (response.isDepartmentListing) {
+    return { department: response.department };
+  }
+  
+  if (response.isDisambiguation || !response.id) {
+    return null;
+  }
+  
+  return {
+    entryId: response.id,
+    anchor: response.isSectionAnswer ? response.section.anchor : undefined
+  };
+}
+
 /**
  * 根據知識庫回應生成回覆訊息
  * @param {Object} response 知識庫回應
@@ -82,102 +204,407 @@ async function generateReplyMessages(response) {
     return generateDepartmentListMessages(response);
   }
   
-  // 添加文字回應
-  if (response.text) {
-    messages.push(lineMessage.createTextMessage(response.text));
+  // 多個條目同樣符合時，讓用戶選擇
+  if (response.isDisambiguation) {
+    return generateDisambiguationMessages(response);
   }
   
-  // 添加圖片（如果有）
-  if (response.imageUrl) {
-    messages.push(lineMessage.createImageMessage(response.imageUrl, response.imageUrl));
+  // 只回答條目中的某個小節時，附上開啟完整內容的按鈕
+  if (response.isSectionAnswer) {
+    return await withEntryQuickReply(generateSectionMessages(response), response.id);
   }
   
-  // 添加影片（如果有）
-  if (response.videoUrl) {
-    const previewUrl = response.videoPreviewUrl || 'https://img.youtube.com/vi/' + extractYoutubeId(response.videoUrl) + '/maxresdefault.jpg';
-    messages.push(lineMessage.createVideoMessage(response.videoUrl, previewUrl));
+  // 追問影片時只回覆影片，並提供開啟完整條目的快速回覆
+  if (response.isVideoAnswer) {
+    const quickReply = lineMessage.createQuickReplyBuilder()
+      .addPostback('查看完整SOP', lineMessage.createPostbackData('open', { id: response.id }), response.title);
+    return await withEntryQuickReply(generateVideoMessages(response), response.id, quickReply);
+  }
+  
+  // 以Flex訊息顯示條目內容（圖片為hero、影片與相關條目為頁尾按鈕），不支援Flex的環境顯示純文字的altText
+  if (response.text) {
+    messages.push(lineMessage.createMarkdownFlexMessage(
+      textUtils.extractTitle(response.text),
+      response.text,
+      {
+        imageUrl: mediaUtils.isDirectImageUrl(response.imageUrl) ? response.imageUrl : undefined,
+        actions: generateEntryActions(response)
+      }
+    ));
+    
+    // 條目的所有照片（含各步驟的照片）以圖片輪播接在內容之後
+    messages.push(...lineMessage.createImageCarouselMessages(
+      `${textUtils.extractTitle(response.text)} 的照片`,
+      mediaUtils.getEntryImages(response)
+    ));
+  }
+  
+  // 附上快速回覆：有多個步驟的SOP提供逐步教學，其後為相關關鍵詞與部門列表
+  if (response.id && messages.length > 0) {
+    const quickReply = lineMessage.createQuickReplyBuilder();
+    if (walkthroughHandler.getSteps(response.text).length > 1) {
+      quickReply.addPostback('逐步教學', lineMessage.createPostbackData('step', { id: response.id }));
+    }
+    return await withEntryQuickReply(messages, response.id, quickReply);
   }
   
   return messages;
 }
 
 /**
- * 從YouTube URL提取視頻ID
- * @param {string} url YouTube URL
- * @returns {string} YouTube視頻ID
+ * 在回答知識條目的最後一則訊息加上快速回覆：相關條目的關鍵詞、回到所屬部門條目列表與加入收藏
+ * @param {Array<Object>} messages 回覆訊息陣列
+ * @param {string} id 知識條目ID
+ * @param {Object} [quickReply] 已加入其他按鈕的快速回覆組裝器，這些按鈕排在前面
+ * @returns {Promise<Array<Object>>} 回覆訊息陣列
  */
-function extractYoutubeId(url) {
-  const match = url.match(/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/);
-  return match ? match[1] : '';
+async function withEntryQuickReply(messages, id, quickReply = lineMessage.createQuickReplyBuilder()) {
+  const relatedKeywords = await knowledgeService.getRelatedKeywords(id, MAX_RELATED_KEYWORD_CHIPS);
+  relatedKeywords.forEach(keyword => quickReply.addText(keyword));
+  
+  const department = knowledgeService.getEntryDepartment(id);
+  quickReply.addText(`${getDepartmentName(department)}列表`, department.toUpperCase());
+  quickReply.addPostback('加入收藏', lineMessage.createPostbackData('favorite', { id }));
+  
+  const lastIndex = messages.length - 1;
+  messages[lastIndex] = quickReply.applyTo(messages[lastIndex]);
+  return messages;
 }
 
 /**
  * 生成部門知識條目列表訊息
- * @param {Object} response 包含部門和知識條目列表的響應
+ * 條目以輪播模板呈現，每個欄位3個條目、每頁最多10個欄位，
+ * 並以快速回覆提供換頁與切換排序方式
+ * @param {Object} response 包含部門和知識條目列表的響應（條目需已依 sort 排序）
+ * @param {number} [cursor] 本頁第一個條目在列表中的位置（從0開始）
+ * @param {string} [sort] 排序方式，見 DEPARTMENT_SORTS
  * @returns {Array} 回覆訊息陣列
  */
-function generateDepartmentListMessages(response) {
+function generateDepartmentListMessages(response, cursor = 0, sort = 'order') {
   const { department, entries } = response;
   const messages = [];
   
-  // 部門名稱映射
-  const departmentNames = {
-    'icu': 'ICU加護病房',
-    'er': 'ER急診',
-    'ward': 'Ward病房',
-    'or': 'OR手術室',
-    'opd': 'OPD門診',
-    'nurse': 'Nurse護理部通用'
-  };
-  
-  const departmentName = departmentNames[department] || department.toUpperCase();
+  const departmentName = getDepartmentName(department);
   
-  // 添加標題訊息
-  const titleMessage = lineMessage.createTextMessage(`${departmentName} 現有的知識條目：`);
-  messages.push(titleMessage);
+  // 其他部門的快速回覆，點擊後列出該部門的條目
+  const addOtherDepartments = quickReply => Object.keys(DEPARTMENT_NAMES)
+    .filter(code => code !== department)
+    .forEach(code => quickReply.addText(getDepartmentName(code), code.toUpperCase()));
   
   // 如果沒有找到任何條目
   if (entries.length === 0) {
-    const noEntriesMessage = lineMessage.createTextMessage(`目前 ${departmentName} 尚未有任何知識條目。`);
-    messages.push(noEntriesMessage);
+    const quickReply = lineMessage.createQuickReplyBuilder();
+    addOtherDepartments(quickReply);
+    
+    messages.push(quickReply.applyTo(lineMessage.createTextMessage(`目前 ${departmentName} 尚未有任何知識條目。`)));
     return messages;
   }
   
-  // 使用按鈕模板創建可點擊的條目列表
-  // LINE限制：每個按鈕模板最多支持4個按鈕
-  // 因此需要將條目分組，每組最多4個
-  const entriesGroups = [];
-  for (let i = 0; i < entries.length; i += 4) {
-    entriesGroups.push(entries.slice(i, i + 4));
-  }
+  // 條目數量可能在換頁之間變少，位置需限制在範圍內並對齊頁首
+  const lastPageStart = Math.floor((entries.length - 1) / DEPARTMENT_LIST_PAGE_SIZE) * DEPARTMENT_LIST_PAGE_SIZE;
+  const start = Math.min(
+    Math.floor(Math.max(cursor, 0) / DEPARTMENT_LIST_PAGE_SIZE) * DEPARTMENT_LIST_PAGE_SIZE,
+    lastPageStart
+  );
+  const pageEntries = entries.slice(start, start + DEPARTMENT_LIST_PAGE_SIZE);
+  const end = start + pageEntries.length;
+  const sortLabel = DEPARTMENT_SORTS[sort];
+  
+  const createPageData = (pageCursor, pageSort) =>
+    lineMessage.createPostbackData('page', { dept: department, cursor: pageCursor, sort: pageSort });
   
-  // 為每組條目創建一個按鈕模板訊息
-  entriesGroups.forEach((group, groupIndex) => {
-    // 標題文字
-    const title = `${departmentName} 知識條目 ${groupIndex + 1}`;
-    // 描述文字
-    const text = `點擊下方按鈕直接查看相關知識`;
+  // 其他排序方式，從第一頁開始
+  const sortActions = Object.entries(DEPARTMENT_SORTS)
+    .filter(([key]) => key !== sort)
+    .map(([key, label]) => lineMessage.createPostbackAction(label, createPageData(0, key), label));
+  
+  // 添加標題訊息
+  messages.push(lineMessage.createTextMessage(
+    `${departmentName} 共 ${entries.length} 個知識條目（第 ${start + 1}-${end} 項，${sortLabel}）：`
+  ));
+  
+  // 以條目ID直接開啟，而不是送出標題重新做關鍵詞匹配
+  const columns = [];
+  for (let i = 0; i < pageEntries.length; i += DEPARTMENT_LIST_COLUMN_SIZE) {
+    const group = pageEntries.slice(i, i + DEPARTMENT_LIST_COLUMN_SIZE);
+    const actions = group.map(entry => lineMessage.createPostbackAction(
+      truncateText(entry.title, 20),
+      lineMessage.createPostbackData('open', { id: entry.id }),
+      entry.title
+    ));
     
-    // 創建按鈕動作列表
-    const actions = group.map(entry => {
-      return lineMessage.createMessageAction(
-        entry.title.length > 20 ? entry.title.substring(0, 17) + '...' : entry.title,
-        entry.title
-      );
-    });
+    // LINE限制：輪播模板每個欄位的按鈕數量必須相同，最後一欄不足時以排序按鈕補齊
+    actions.push(...sortActions.slice(0, DEPARTMENT_LIST_COLUMN_SIZE - actions.length));
     
-    // 創建按鈕模板訊息
-    const buttonMessage = lineMessage.createButtonMessage(
-      `${departmentName} 知識條目`, // altText
-      title, // title
-      text, // text
-      actions // actions
-    );
+    const first = start + i + 1;
+    columns.push(lineMessage.createCarouselColumn(
+      `第 ${first}-${first + group.length - 1} 項`,
+      `${departmentName}｜${sortLabel}`,
+      actions
+    ));
+  }
+  
+  messages.push(lineMessage.createCarouselMessage(`${departmentName} 知識條目`, columns));
+  
+  // 在最後一則訊息加上換頁、排序、設定所屬單位（連結部門圖文選單）與其他部門的快速回覆
+  const quickReply = lineMessage.createQuickReplyBuilder();
+  if (start > 0) {
+    quickReply.addPostback('上一頁', createPageData(start - DEPARTMENT_LIST_PAGE_SIZE, sort));
+  }
+  if (end < entries.length) {
+    quickReply.addPostback('下一頁', createPageData(end, sort));
+  }
+  sortActions.forEach(action => quickReply.add(action));
+  quickReply.addPostback('設為我的單位', lineMessage.createPostbackData('unit', { dept: department }));
+  addOtherDepartments(quickReply);
+  
+  const lastIndex = messages.length - 1;
+  messages[lastIndex] = quickReply.applyTo(messages[lastIndex]);
+  
+  return messages;
+}
+
+/**
+ * 生成讓用戶選擇知識條目的輪播訊息
+ * @param {Object} response 包含候選知識條目列表的響應
+ * @returns {Array} 回覆訊息陣列
+ */
+function generateDisambiguationMessages(response) {
+  const { query, entries } = response;
+  
+  const columns = entries.slice(0, MAX_CAROUSEL_COLUMNS).map(entry => {
+    const text = `${getDepartmentName(entry.department)}｜${entry.description}`;
     
-    messages.push(buttonMessage);
+    return lineMessage.createCarouselColumn(
+      truncateText(entry.title, 40),
+      truncateText(text, 60),
+      [
+        lineMessage.createPostbackAction(
+          '查看完整內容',
+          lineMessage.createPostbackData('open', { id: entry.id }),
+          entry.title
+        )
+      ]
+    );
   });
   
-  return messages;
+  return [
+    lineMessage.createTextMessage(`「${query}」符合多個知識條目，請選擇您要查看的內容：`),
+    lineMessage.createQuickReplyBuilder()
+      .addText('幫助')
+      .applyTo(lineMessage.createCarouselMessage(`「${query}」的相關知識條目`, columns))
+  ];
+}
+
+/**
+ * 生成知識條目Flex訊息的頁尾按鈕：教學影片、相關條目與回饋
+ * @param {Object} response 知識條目（可含 alternatives 候選列表）
+ * @returns {Array<Object|Array<Object>>} 按鈕動作，回饋按鈕排成同一列
+ */
+function generateEntryActions(response) {
+  const actions = [];
+  
+  // YouTube等外部網址與MP4檔案都以網址按鈕開啟，無效的網址不顯示按鈕
+  const video = mediaUtils.resolveVideo(response);
+  if (video) {
+    actions.push(lineMessage.createUriAction('觀看教學影片', video.url));
+  }
+  
+  (response.alternatives || []).slice(0, MAX_RELATED_BUTTONS).forEach(alternative => {
+    actions.push(lineMessage.createPostbackAction(
+      truncateText(`相關：${alternative.title}`, 20),
+      lineMessage.createPostbackData('open', { id: alternative.id }),
+      alternative.title
+    ));
+  });
+  
+  if (response.id) {
+    actions.push([
+      lineMessage.createPostbackAction(
+        '👍 有幫助',
+        lineMessage.createPostbackData('feedback', { id: response.id, value: 'up' }),
+        '有幫助'
+      ),
+      lineMessage.createPostbackAction(
+        '👎 需改進',
+        lineMessage.createPostbackData('feedback', { id: response.id, value: 'down' }),
+        '需改進'
+      )
+    ]);
+  }
+  
+  return actions;
+}
+
+/**
+ * 生成追問影片的回覆訊息
+ * HTTPS的MP4以LINE影片訊息傳送；YouTube等外部網址無法以影片訊息播放，改以Flex卡片開啟
+ * @param {Object} response 包含條目標題與影片網址的響應
+ * @returns {Array} 回覆訊息陣列
+ */
+function generateVideoMessages(response) {
+  const { title } = response;
+  const video = mediaUtils.resolveVideo(response);
+  
+  if (!video) {
+    if (response.videoUrl) {
+      logger.warn('知識條目的影片網址無效', { id: response.id, videoUrl: response.videoUrl });
+    }
+    return [lineMessage.createTextMessage(`「${title}」目前沒有教學影片。`)];
+  }
+  
+  if (video.type === 'video') {
+    return [
+      lineMessage.createTextMessage(`「${title}」的教學影片：`),
+      lineMessage.createVideoMessage(video.url, video.previewUrl)
+    ];
+  }
+  
+  return [
+    lineMessage.createLinkCardMessage(
+      title,
+      '點擊下方按鈕開啟教學影片。',
+      lineMessage.createUriAction('觀看教學影片', video.url),
+      video.previewUrl
+    )
+  ];
+}
+
+/**
+ * 生成條目小節的回覆訊息
+ * @param {Object} response 包含條目標題與小節內容的響應
+ * @returns {Array} 回覆訊息陣列
+ */
+function generateSectionMessages(response) {
+  const { id, title, section } = response;
+  
+  const actions = [
+    lineMessage.createPostbackAction(
+      '查看完整SOP',
+      lineMessage.createPostbackData('open', { id }),
+      title
+    )
+  ];
+  
+  // 步驟小節可以從這一步接續逐步教學
+  if (section.anchor.startsWith('step-')) {
+    actions.push(lineMessage.createPostbackAction(
+      '從這一步逐步教學',
+      lineMessage.createPostbackData('step', { id, n: section.anchor.replace('step-', '') }),
+      '逐步教學'
+    ));
+  }
+  
+  return [
+    lineMessage.createMarkdownFlexMessage(
+      title,
+      `## ${section.heading}\n${section.text}`,
+      { actions }
+    ),
+    // 只附上這個小節的照片
+    ...lineMessage.createImageCarouselMessages(
+      `${section.heading} 的照片`,
+      mediaUtils.getEntryImages(response, section.anchor)
+    )
+  ];
+}
+
+/**
+ * 處理開啟指定知識條目的請求（例如輪播按鈕的回傳事件）
+ * @param {Object} event LINE事件對象
+ * @param {string} id 知識條目ID
+ * @returns {Promise<any>} 處理結果
+ */
+async function handleOpenEntry(event, id) {
+  const { source } = event;
+  const userId = source.userId;
+  
+  logger.info(`用戶 ${userId} 開啟知識條目`, { id });
+  
+  try {
+    const entry = await knowledgeService.getKnowledgeById(id);
+    
+    if (!entry) {
+      return await replyService.replyWithOverflow(event, {
+        type: 'text',
+        text: '抱歉，找不到這個知識條目，它可能已被移除或更新。'
+      });
+    }
+    
+    // 生成回覆訊息
+    const replyMessages = await generateReplyMessages(entry);
+    
+    // 記錄機器人回應與主題
+    await dialogService.recordBotMessage(userId, { entryId: entry.id });
+    knowledgeService.recordView(entry.id);
+    
+    // 發送回覆
+    return await replyService.replyWithOverflow(event, replyMessages);
+  } catch (error) {
+    logger.error('開啟知識條目時發生錯誤', { id, error });
+    
+    // 發送錯誤回應
+    return await replyService.replyWithOverflow(event, {
+      type: 'text',
+      text: '抱歉，我在處理您的訊息時遇到了問題。請稍後再試。'
+    });
+  }
+}
+
+/**
+ * 處理部門列表換頁或切換排序的請求
+ * @param {Object} event LINE事件對象
+ * @param {string} department 部門代碼
+ * @param {number} cursor 本頁第一個條目在列表中的位置（從0開始）
+ * @param {string} [sort] 排序方式，見 DEPARTMENT_SORTS，無效時使用預設排序
+ * @returns {Promise<any>} 處理結果
+ */
+async function handleDepartmentPage(event, department, cursor, sort) {
+  const { source } = event;
+  const userId = source.userId;
+  const listSort = DEPARTMENT_SORTS[sort] ? sort : 'order';
+  
+  logger.info(`用戶 ${userId} 查看部門列表`, { department, cursor, sort: listSort });
+  
+  try {
+    const entries = await knowledgeService.getDepartmentEntries(department, listSort);
+    
+    // 生成回覆訊息
+    const replyMessages = generateDepartmentListMessages({ department, entries }, cursor, listSort);
+    
+    // 記錄機器人回應與主題
+    await dialogService.recordBotMessage(userId, { department });
+    
+    // 發送回覆
+    return await replyService.replyWithOverflow(event, replyMessages);
+  } catch (error) {
+    logger.error('查看部門列表時發生錯誤', { department, cursor, error });
+    
+    // 發送錯誤回應
+    return await replyService.replyWithOverflow(event, {
+      type: 'text',
+      text: '抱歉，我在處理您的訊息時遇到了問題。請稍後再試。'
+    });
+  }
+}
+
+/**
+ * 取得部門顯示名稱
+ * @param {string} department 部門代碼
+ * @returns {string} 部門顯示名稱
+ */
+function getDepartmentName(department) {
+  return DEPARTMENT_NAMES[department] || department.toUpperCase();
+}
+
+/**
+ * 截斷超過長度限制的文字
+ * @param {string} text 原始文字
+ * @param {number} maxLength 最大長度
+ * @returns {string} 截斷後的文字
+ */
+function truncateText(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength - 3) + '...' : text;
 }
 
 /**
@@ -203,5 +630,7 @@ function handleSpecialKeywords(text) {
 }
 
 export default {
-  handleText
+  handleText,
+  handleOpenEntry,
+  handleDepartmentPage
 }; 
\ No newline at end of file
@@ -3,9 +3,9 @@
  * 處理用戶發送的影片訊息
  */
 
-import lineClient from '../line/client';
-import dialogService from '../services/dialog';
-import logger from '../utils/logger';
+import replyService from '../line/reply.js';
+import dialogService from '../services/dialog.js';
+import logger from '../utils/logger.js';
 
 /**
  * 處理影片訊息
@@ -13,7 +13,7 @@ import logger from '../utils/logger';
  * @returns {Promise<any>} 處理結果
  */
 async function handleVideo(event) {
-  const { message, replyToken, source } = event;
+  const { message, source } = event;
   const userId = source.userId;
   
   logger.info(`收到來自用戶 ${userId} 的影片訊息`, { messageId: message.id });
@@ -25,11 +25,8 @@ async function handleVideo(event) {
     // 目前不處理影片分析，只回覆一個簡單的確認訊息
     const response = '謝謝您分享的影片。目前我無法分析影片內容，但我很樂意回答您的文字問題。';
     
-    // 記錄機器人回應
-    await dialogService.recordBotMessage(userId, response);
-    
     // 發送回覆
-    return await lineClient.replyMessage(replyToken, {
+    return await replyService.replyWithOverflow(event, {
       type: 'text',
       text: response
     });
@@ -37,7 +34,7 @@ async function handleVideo(event) {
     logger.error('處理影片訊息時發生錯誤', { error });
     
     // 發送錯誤回應
-    return await lineClient.replyMessage(replyToken, {
+    return await replyService.replyWithOverflow(event, {
       type: 'text',
       text: '抱歉，我在處理您的影片時遇到了問題。請稍後再試。'
     });
@@ -0,0 +1,208 @@
+/**
+ * 逐步教學處理器
+ * 將SOP條目中的「Step N」小節逐一發送，讓護理人員在床邊一次只看一個步驟
+ */
+
+import lineMessage from '../line/message.js';
+import replyService from '../line/reply.js';
+import dialogService from '../services/dialog.js';
+import knowledgeService from '../services/knowledge.js';
+import textUtils from '../utils/text.js';
+import markdownUtils from '../utils/markdown.js';
+import mediaUtils from '../utils/media.js';
+import logger from '../utils/logger.js';
+
+// 「下一步」、「上一步」移動的步驟數
+const STEP_OFFSETS = { next: 1, prev: -1 };
+
+/**
+ * 取得知識條目中的步驟小節
+ * @param {string} text 知識條目文本
+ * @returns {Array<Object>} 依文件順序排列的步驟小節 { anchor, heading, level, text }
+ */
+function getSteps(text) {
+  return textUtils.splitSections(text).filter(section => section.anchor.startsWith('step-'));
+}
+
+/**
+ * 取得步驟的「上一步 / 下一步 / 結束」快速回覆動作，第一步沒有上一步、最後一步沒有下一步
+ * @param {Array<Object>} steps 步驟小節
+ * @param {number} position 目前步驟的位置（從0開始）
+ * @returns {Array<Object>} 按鈕動作陣列
+ */
+function getStepActions(steps, position) {
+  const createStepAction = (label, dir) =>
+    lineMessage.createPostbackAction(label, lineMessage.createPostbackData('step', { dir }), label);
+  
+  const actions = [];
+  if (position > 0) {
+    actions.push(createStepAction('上一步', 'prev'));
+  }
+  if (position < steps.length - 1) {
+    actions.push(createStepAction('下一步', 'next'));
+  }
+  actions.push(createStepAction('結束', 'end'));
+  
+  return actions;
+}
+
+/**
+ * 生成已經是第一步或最後一步的提示，附上目前步驟可用的快速回覆
+ * @param {Array<Object>} steps 步驟小節
+ * @param {number} position 目前步驟的位置（從0開始）
+ * @returns {Object} 文字訊息物件
+ */
+function createBoundaryMessage(steps, position) {
+  const text = position === 0 ? '已經是第一步了。' : '已經是最後一步了。';
+  return lineMessage.withQuickReply(lineMessage.createTextMessage(text), getStepActions(steps, position));
+}
+
+/**
+ * 開始知識條目的逐步教學
+ * @param {Object} event LINE事件對象
+ * @param {string} entryId 知識條目ID
+ * @param {string} [anchor] 起始步驟的錨點（例如 step-8），未提供時從第一個步驟開始
+ * @param {string} [direction] 從起始步驟移動的方向：next 或 prev，已是第一步或最後一步時提示用戶並停在該步驟
+ * @returns {Promise<any>} 處理結果
+ */
+async function startWalkthrough(event, entryId, anchor, direction) {
+  const { source } = event;
+  const userId = source.userId;
+  
+  logger.info(`用戶 ${userId} 開始逐步教學`, { entryId, anchor, direction });
+  
+  try {
+    const entry = await knowledgeService.getKnowledgeById(entryId);
+    const steps = entry ? getSteps(entry.text) : [];
+    
+    if (steps.length === 0) {
+      return await replyService.replyWithOverflow(event, {
+        type: 'text',
+        text: '抱歉，這個知識條目沒有可逐步操作的步驟。'
+      });
+    }
+    
+    // 起始步驟不存在時（例如條目已更新）從第一個步驟開始，不再移動
+    const index = steps.findIndex(step => step.anchor === anchor);
+    const start = Math.max(0, index);
+    const position = index >= 0 ? start + (STEP_OFFSETS[direction] || 0) : start;
+    
+    if (position < 0 || position > steps.length - 1) {
+      await dialogService.setWalkthroughState(userId, { entryId, position: start });
+      return await replyService.replyWithOverflow(event, createBoundaryMessage(steps, start));
+    }
+    
+    await dialogService.setWalkthroughState(userId, { entryId, position });
+    
+    const messages = generateStepMessages(entry, steps, position);
+    await dialogService.recordBotMessage(userId, { entryId: entry.id, anchor: steps[position].anchor });
+    
+    return await replyService.replyWithOverflow(event, messages);
+  } catch (error) {
+    logger.error('開始逐步教學時發生錯誤', { entryId, error });
+    
+    return await replyService.replyWithOverflow(event, {
+      type: 'text',
+      text: '抱歉，我在處理您的訊息時遇到了問題。請稍後再試。'
+    });
+  }
+}
+
+/**
+ * 處理逐步教學的「下一步」、「上一步」、「結束」指令
+ * @param {Object} event LINE事件對象
+ * @param {string} direction 指令：next、prev 或 end
+ * @returns {Promise<any>} 處理結果
+ */
+async function handleStepCommand(event, direction) {
+  const { source } = event;
+  const userId = source.userId;
+  
+  logger.debug(`用戶 ${userId} 逐步教學指令`, { direction });
+  
+  try {
+    const state = await dialogService.getWalkthroughState(userId);
+    
+    if (!state) {
+      return await replyService.replyWithOverflow(event, {
+        type: 'text',
+        text: '目前沒有進行中的逐步教學，請先查詢知識條目後點選「逐步教學」。'
+      });
+    }
+    
+    const entry = await knowledgeService.getKnowledgeById(state.entryId);
+    const steps = entry ? getSteps(entry.text) : [];
+    
+    if (direction === 'end' || steps.length === 0) {
+      await dialogService.clearWalkthroughState(userId);
+      
+      const title = entry ? textUtils.extractTitle(entry.text) : '知識條目';
+      return await replyService.replyWithOverflow(event, lineMessage.createTextMessage(`已結束「${title}」的逐步教學。`));
+    }
+    
+    // 條目更新後步驟數可能減少，位置需限制在範圍內
+    const current = Math.min(Math.max(state.position, 0), steps.length - 1);
+    const position = current + (STEP_OFFSETS[direction] || 0);
+    
+    if (position < 0 || position > steps.length - 1) {
+      await dialogService.setWalkthroughState(userId, { ...state, position: current });
+      return await replyService.replyWithOverflow(event, createBoundaryMessage(steps, current));
+    }
+    
+    await dialogService.setWalkthroughState(userId, { ...state, position });
+    
+    const messages = generateStepMessages(entry, steps, position);
+    await dialogService.recordBotMessage(userId, { entryId: entry.id, anchor: steps[position].anchor });
+    
+    return await replyService.replyWithOverflow(event, messages);
+  } catch (error) {
+    logger.error('處理逐步教學指令時發生錯誤', { direction, error });
+    
+    return await replyService.replyWithOverflow(event, {
+      type: 'text',
+      text: '抱歉，我在處理您的訊息時遇到了問題。請稍後再試。'
+    });
+  }
+}
+
+/**
+ * 生成單一步驟的訊息，步驟內容轉為純文字並接著這個步驟的照片，最後一則附上「上一步 / 下一步 / 結束」快速回覆
+ * @param {Object} entry 知識條目
+ * @param {Array<Object>} steps 步驟小節
+ * @param {number} position 目前步驟的位置（從0開始）
+ * @returns {Array<Object>} 訊息物件陣列（步驟內容超過文字訊息長度限制或有照片時會有多則）
+ */
+function generateStepMessages(entry, steps, position) {
+  const step = steps[position];
+  const title = textUtils.extractTitle(entry.text);
+  const isLast = position === steps.length - 1;
+  const actions = getStepActions(steps, position);
+  
+  const lines = [
+    `【${title}】${position + 1}/${steps.length}`,
+    step.heading,
+    '',
+    markdownUtils.formatPlainText(step.text)
+  ];
+  if (isLast) {
+    lines.push('', '這是最後一個步驟。');
+  }
+  
+  const messages = [
+    ...lineMessage.createTextMessages(lines.join('\n')),
+    ...lineMessage.createImageCarouselMessages(
+      `${step.heading} 的照片`,
+      mediaUtils.getEntryImages(entry, step.anchor)
+    )
+  ];
+  const lastIndex = messages.length - 1;
+  messages[lastIndex] = lineMessage.withQuickReply(messages[lastIndex], actions);
+  
+  return messages;
+}
+
+export default {
+  getSteps,
+  startWalkthrough,
+  handleStepCommand
+};
@@ -4,10 +4,10 @@
  */
 
 import { Router } from 'itty-router';
-import lineWebhook from './line/webhook';
-import knowledgeService from './services/knowledge';
-import config from './utils/config';
-import logger from './utils/logger';
+import lineWebhook from './line/webhook.js';
+import knowledgeService from './services/knowledge.js';
+import config from './utils/config.js';
+import logger from './utils/logger.js';
 
 // 創建路由器
 const router = Router();
@@ -109,9 +109,9 @@ router.get('/search', async ({ request, env }) => {
 });
 
 // LINE Webhook路由
-router.post('/webhook', async (request) => {
+router.post('/webhook', async (request, env, ctx) => {
   try {
-    return await lineWebhook.handleWebhook(request);
+    return await lineWebhook.handleWebhook(request, ctx);
   } catch (error) {
     logger.error('處理webhook時發生錯誤', { error });
     return new Response('Internal Server Error', { status: 500 });
@@ -143,6 +143,7 @@ export default {
       url: request.url
     });
     
-    return router.handle(request);
+    // 傳入執行環境，讓webhook可以在回應後繼續處理事件
+    return router.handle(request, env, ctx);
   }
 }; 
\ No newline at end of file
@@ -4,12 +4,18 @@
  */
 
 import { Client } from '@line/bot-sdk';
-import config from '../utils/config';
-import logger from '../utils/logger';
+import richMenus from './rich-menus.js';
+import signatureUtils from './signature.js';
+import transport from './transport.js';
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
 
 // LINE SDK客戶端實例
 let lineClient = null;
 
+// LINE每次回覆或推送最多5則訊息
+const MESSAGES_PER_REQUEST = 5;
+
 /**
  * 獲取LINE客戶端
  * @returns {Client} LINE SDK客戶端
@@ -27,6 +33,24 @@ function getClient() {
   return lineClient;
 }
 
+/**
+ * 透過傳輸層呼叫LINE API，可重試的錯誤會自動重試，失敗時拋出結構化的錯誤
+ * 推送訊息使用重試鍵（X-Line-Retry-Key），重試時LINE不會重複傳送；回覆訊息不是冪等的，只在429時重試
+ * @param {string} operation API操作名稱
+ * @param {Function} call 執行請求的函數，參數為LINE SDK客戶端
+ * @param {Object} [options] 選項 { retryKey, idempotent }
+ * @returns {Promise<any>} LINE API回應
+ */
+async function callApi(operation, call, options) {
+  return await transport.request(operation, retryKey => {
+    const client = getClient();
+    if (retryKey) {
+      client.setRequestOptionOnce({ retryKey });
+    }
+    return call(client);
+  }, options);
+}
+
 /**
  * 發送文字訊息
  * @param {string} userId 用戶ID
@@ -36,10 +60,10 @@ function getClient() {
 async function sendTextMessage(userId, text) {
   try {
     logger.debug(`發送文字訊息給用戶 ${userId}`, { text });
-    return await getClient().pushMessage(userId, {
+    return await callApi('pushMessage', client => client.pushMessage(userId, {
       type: 'text',
       text: text
-    });
+    }), { retryKey: true });
   } catch (error) {
     logger.error('發送文字訊息失敗', { userId, text, error });
     throw error;
@@ -56,11 +80,11 @@ async function sendTextMessage(userId, text) {
 async function sendImageMessage(userId, originalContentUrl, previewImageUrl) {
   try {
     logger.debug(`發送圖片訊息給用戶 ${userId}`, { originalContentUrl, previewImageUrl });
-    return await getClient().pushMessage(userId, {
+    return await callApi('pushMessage', client => client.pushMessage(userId, {
       type: 'image',
       originalContentUrl,
       previewImageUrl: previewImageUrl || originalContentUrl
-    });
+    }), { retryKey: true });
   } catch (error) {
     logger.error('發送圖片訊息失敗', { userId, originalContentUrl, error });
     throw error;
@@ -77,11 +101,11 @@ async function sendImageMessage(userId, originalContentUrl, previewImageUrl) {
 async function sendVideoMessage(userId, originalContentUrl, previewImageUrl) {
   try {
     logger.debug(`發送影片訊息給用戶 ${userId}`, { originalContentUrl, previewImageUrl });
-    return await getClient().pushMessage(userId, {
+    return await callApi('pushMessage', client => client.pushMessage(userId, {
       type: 'video',
       originalContentUrl,
       previewImageUrl
-    });
+    }), { retryKey: true });
   } catch (error) {
     logger.error('發送影片訊息失敗', { userId, originalContentUrl, error });
     throw error;
@@ -97,7 +121,7 @@ async function sendVideoMessage(userId, originalContentUrl, previewImageUrl) {
 async function replyMessage(replyToken, messages) {
   try {
     logger.debug(`回覆訊息 ${replyToken}`, { messages });
-    return await getClient().replyMessage(replyToken, messages);
+    return await callApi('replyMessage', client => client.replyMessage(replyToken, messages), { idempotent: false });
   } catch (error) {
     logger.error('回覆訊息失敗', { replyToken, messages, error });
     throw error;
@@ -105,22 +129,215 @@ async function replyMessage(replyToken, messages) {
 }
 
 /**
- * 驗證LINE請求簽名
- * @param {string} body 請求體
- * @param {string} signature 簽名
- * @returns {boolean} 是否有效
+ * 推送訊息
+ * @param {string} to 用戶、群組或聊天室ID
+ * @param {Array|Object} messages 訊息或訊息陣列
+ * @returns {Promise<any>} LINE API回應
+ */
+async function pushMessage(to, messages) {
+  try {
+    logger.debug(`推送訊息給 ${to}`, { messages });
+    return await callApi('pushMessage', client => client.pushMessage(to, messages), { retryKey: true });
+  } catch (error) {
+    logger.error('推送訊息失敗', { to, messages, error });
+    throw error;
+  }
+}
+
+/**
+ * 傳送訊息：先以回覆令牌回覆第一批，其餘批次與回覆令牌無效時的訊息改以推送傳送
+ * 每批最多5則；推送使用重試鍵，重試時不會重複傳送；推送訊息會計入頻道的每月訊息額度
+ * @param {string} replyToken 回覆令牌，沒有時全部推送
+ * @param {string} to 推送對象（用戶、群組或聊天室ID），沒有時只能回覆一批
+ * @param {Array|Object} messages 訊息或訊息陣列
+ * @returns {Promise<Object>} { path, replied, pushed }，path 為 reply、push 或 reply+push，replied 與 pushed 為各自傳送的則數
+ */
+async function deliverMessages(replyToken, to, messages) {
+  const batches = [];
+  const list = [].concat(messages);
+  for (let i = 0; i < list.length; i += MESSAGES_PER_REQUEST) {
+    batches.push(list.slice(i, i + MESSAGES_PER_REQUEST));
+  }
+  
+  let pending = batches;
+  let replied = 0;
+  let pushed = 0;
+  
+  if (replyToken && batches.length > 0) {
+    try {
+      await replyMessage(replyToken, batches[0]);
+      replied = batches[0].length;
+      pending = batches.slice(1);
+    } catch (error) {
+      if (!to || error.kind !== 'reply_token') {
+        throw error;
+      }
+      logger.warn('回覆令牌無效或已過期，改以推送訊息傳送', { replyToken, to });
+    }
+  }
+  
+  if (pending.length > 0 && !to) {
+    throw new Error(`沒有推送對象，無法傳送超過單次上限（${MESSAGES_PER_REQUEST}則）的訊息，請先以 lineMessage.paginateMessages 分頁`);
+  }
+  
+  for (const batch of pending) {
+    try {
+      await pushMessage(to, batch);
+    } catch (error) {
+      // 記錄已送出的則數，讓呼叫端只重新傳送尚未送出的訊息
+      error.delivered = replied + pushed;
+      throw error;
+    }
+    pushed += batch.length;
+  }
+  
+  const path = replied > 0 && pushed > 0 ? 'reply+push' : (pushed > 0 ? 'push' : 'reply');
+  logger.info('訊息傳送完成', { to, path, replied, pushed });
+  
+  return { path, replied, pushed };
+}
+
+/**
+ * 為用戶連結部門圖文選單
+ * 以別名取得選單目前的版本，選單由 upload-rich-menus.cjs 建立
+ * @param {string} userId 用戶ID
+ * @param {string} department 部門代碼
+ * @returns {Promise<string>} 連結的圖文選單ID
+ */
+async function linkDepartmentRichMenu(userId, department) {
+  const aliasId = richMenus.getDepartmentMenuAliasId(department);
+  if (!aliasId) {
+    throw new Error(`沒有部門 ${department} 的圖文選單`);
+  }
+  
+  try {
+    const { richMenuId } = await callApi('getRichMenuAlias', client => client.getRichMenuAlias(aliasId));
+    await callApi('linkRichMenuToUser', client => client.linkRichMenuToUser(userId, richMenuId));
+    logger.debug(`已為用戶 ${userId} 連結部門圖文選單`, { department, aliasId, richMenuId });
+    return richMenuId;
+  } catch (error) {
+    logger.error('連結部門圖文選單失敗', { userId, department, aliasId, error });
+    throw error;
+  }
+}
+
+/**
+ * 解除用戶的個人圖文選單，恢復顯示預設的主選單
+ * @param {string} userId 用戶ID
+ * @returns {Promise<any>} LINE API回應
  */
-function validateSignature(body, signature) {
+async function unlinkRichMenu(userId) {
   try {
-    // 使用LINE SDK的驗證方法
-    const crypto = require('node:crypto');
-    const hmac = crypto.createHmac('SHA256', config.line.channelSecret);
-    const digest = hmac.update(body).digest('base64');
-    return digest === signature;
+    logger.debug(`解除用戶 ${userId} 的圖文選單`);
+    return await callApi('unlinkRichMenuFromUser', client => client.unlinkRichMenuFromUser(userId));
   } catch (error) {
-    logger.error('驗證簽名失敗', { error });
-    return false;
+    logger.error('解除圖文選單失敗', { userId, error });
+    throw error;
+  }
+}
+
+/**
+ * 建立圖文選單
+ * 建立不是冪等的，5xx或網路錯誤時不重試，避免建立重複的選單
+ * @param {Object} richMenu LINE圖文選單物件
+ * @returns {Promise<string>} 圖文選單ID
+ */
+async function createRichMenu(richMenu) {
+  return await callApi('createRichMenu', client => client.createRichMenu(richMenu), { idempotent: false });
+}
+
+/**
+ * 上傳圖文選單圖片
+ * @param {string} richMenuId 圖文選單ID
+ * @param {Buffer} data 圖片內容
+ * @param {string} contentType 圖片格式（image/png 或 image/jpeg）
+ * @returns {Promise<any>} LINE API回應
+ */
+async function setRichMenuImage(richMenuId, data, contentType) {
+  return await callApi('setRichMenuImage', client => client.setRichMenuImage(richMenuId, data, contentType));
+}
+
+/**
+ * 將圖文選單別名指向指定的選單，別名不存在時建立
+ * @param {string} aliasId 別名ID
+ * @param {string} richMenuId 圖文選單ID
+ * @returns {Promise<string|null>} 別名原本指向的圖文選單ID，第一次建立別名時為null
+ */
+async function setRichMenuAlias(aliasId, richMenuId) {
+  let previousRichMenuId = null;
+  try {
+    previousRichMenuId = (await callApi('getRichMenuAlias', client => client.getRichMenuAlias(aliasId))).richMenuId;
+  } catch (error) {
+    // 別名不存在時為404，表示第一次建立這個選單
+    if (error.kind !== 'not_found') {
+      throw error;
+    }
   }
+  
+  if (previousRichMenuId) {
+    await callApi('updateRichMenuAlias', client => client.updateRichMenuAlias(aliasId, richMenuId));
+  } else {
+    await callApi('createRichMenuAlias', client => client.createRichMenuAlias(richMenuId, aliasId), { idempotent: false });
+  }
+  
+  return previousRichMenuId;
+}
+
+/**
+ * 設定所有用戶的預設圖文選單
+ * @param {string} richMenuId 圖文選單ID
+ * @returns {Promise<any>} LINE API回應
+ */
+async function setDefaultRichMenu(richMenuId) {
+  return await callApi('setDefaultRichMenu', client => client.setDefaultRichMenu(richMenuId));
+}
+
+/**
+ * 刪除圖文選單，已連結此選單的用戶會改為顯示預設選單
+ * @param {string} richMenuId 圖文選單ID
+ * @returns {Promise<any>} LINE API回應
+ */
+async function deleteRichMenu(richMenuId) {
+  return await callApi('deleteRichMenu', client => client.deleteRichMenu(richMenuId));
+}
+
+/**
+ * 依選單定義建立新的圖文選單，上傳圖片後把別名指向新選單
+ * 別名原本指向的選單不會刪除，已連結該選單的用戶在重新設定單位前仍看到舊版本，確認無誤後再以 deleteRichMenu 刪除
+ * @param {Object} definition 選單定義（見 rich-menus.js）
+ * @param {Object} image 選單圖片 { data: Buffer, contentType }
+ * @param {Object} [options] { isDefault: 是否設為所有用戶的預設選單 }
+ * @returns {Promise<Object>} { aliasId, richMenuId, previousRichMenuId }
+ */
+async function provisionRichMenu(definition, image, options = {}) {
+  const aliasId = richMenus.getRichMenuAliasId(definition.alias);
+  
+  try {
+    const richMenuId = await createRichMenu(richMenus.toRichMenuObject(definition));
+    await setRichMenuImage(richMenuId, image.data, image.contentType);
+    const previousRichMenuId = await setRichMenuAlias(aliasId, richMenuId);
+    
+    if (options.isDefault) {
+      await setDefaultRichMenu(richMenuId);
+    }
+    
+    logger.info('圖文選單已建立', { aliasId, richMenuId, previousRichMenuId });
+    return { aliasId, richMenuId, previousRichMenuId };
+  } catch (error) {
+    logger.error('建立圖文選單失敗', { aliasId, error });
+    throw error;
+  }
+}
+
+/**
+ * 驗證LINE請求簽名
+ * @param {string} body 請求體
+ * @param {string} signature 簽名
+ * @returns {Promise<boolean>} 是否有效
+ * @throws {Error} 未設定頻道密鑰時
+ */
+async function validateSignature(body, signature) {
+  return await signatureUtils.verifySignature(body, signature, config.line.channelSecret);
 }
 
 export default {
@@ -129,5 +346,15 @@ export default {
   sendImageMessage,
   sendVideoMessage,
   replyMessage,
+  pushMessage,
+  deliverMessages,
+  linkDepartmentRichMenu,
+  unlinkRichMenu,
+  createRichMenu,
+  setRichMenuImage,
+  setRichMenuAlias,
+  setDefaultRichMenu,
+  deleteRichMenu,
+  provisionRichMenu,
   validateSignature
 }; 
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * Webhook事件去重模組
+ * LINE在未收到200回應時會重送webhook（deliveryContext.isRedelivery 為 true），
+ * 以 webhookEventId 記錄已處理的事件，避免重複記錄對話與重複計算瀏覽次數
+ * webhook在處理事件前就回傳200，處理失敗的事件不會被LINE重送，因此事件最多處理一次：
+ * 登記後處理失敗只記錄錯誤，不會再處理
+ */
+
+import logger from '../utils/logger.js';
+import storage from '../utils/storage.js';
+
+// 已處理事件的存儲，首次使用時依環境建立（有KV綁定時存於 webhook-event:事件ID）
+let eventStore = null;
+
+// 事件ID的保存時間（秒），涵蓋LINE重送的期間
+const EVENT_ID_TTL = 60 * 60;
+
+/**
+ * 取得已處理事件的存儲
+ * @returns {Object} 存儲物件
+ */
+function getStore() {
+  if (!eventStore) {
+    eventStore = storage.createDefaultStore('webhook-event:');
+  }
+  return eventStore;
+}
+
+/**
+ * 設定已處理事件的存儲，例如測試時改用 storage.createMemoryStore()
+ * @param {Object} store 存儲物件
+ */
+function setStore(store) {
+  eventStore = store;
+}
+
+/**
+ * 登記即將處理的事件，已處理過的事件返回false並記錄略過
+ * 沒有 webhookEventId 的事件一律處理；存儲讀寫失敗時也照常處理，寧可重複也不遺漏
+ * 注意 KV 為最終一致性，同時送達不同地區的重送仍可能各處理一次
+ * @param {Object} event LINE事件對象
+ * @returns {Promise<boolean>} 是否應處理這個事件
+ */
+async function claimEvent(event) {
+  const { webhookEventId, deliveryContext } = event;
+  const isRedelivery = Boolean(deliveryContext && deliveryContext.isRedelivery);
+  
+  if (!webhookEventId) {
+    return true;
+  }
+  
+  try {
+    if (await getStore().get(webhookEventId)) {
+      logger.info('略過已處理的webhook事件', { webhookEventId, isRedelivery, type: event.type });
+      return false;
+    }
+    
+    await getStore().put(webhookEventId, { type: event.type, receivedAt: new Date().toISOString() }, { ttl: EVENT_ID_TTL });
+  } catch (error) {
+    logger.warn('讀寫已處理事件失敗，照常處理事件', { webhookEventId, error });
+  }
+  
+  if (isRedelivery) {
+    logger.info('處理重送的webhook事件', { webhookEventId, type: event.type });
+  }
+  
+  return true;
+}
+
+export default {
+  setStore,
+  claimEvent
+};
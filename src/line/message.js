@@ -3,6 +3,30 @@
  * 用於建立和組裝LINE訊息物件
  */
 
+import markdownUtils from '../utils/markdown.js';
+
+// Flex訊息的主色（頁首背景、小節標題）
+const FLEX_ACCENT_COLOR = '#1E6FBF';
+
+// Flex訊息的限制：altText最多400字、輪播最多12個泡泡；
+// 泡泡上限10KB、輪播上限50KB，內容元件預留頁首、hero與頁尾的空間
+const FLEX_ALT_TEXT_LIMIT = 400;
+const FLEX_CAROUSEL_MAX_BUBBLES = 12;
+const FLEX_BUBBLE_BODY_BYTES = 7000;
+const FLEX_CAROUSEL_BODY_BYTES = 40000;
+
+// LINE文字訊息最多5000字，單次回覆最多5則訊息，快速回覆最多13個按鈕
+const TEXT_MESSAGE_LIMIT = 5000;
+const REPLY_MESSAGE_LIMIT = 5;
+const QUICK_REPLY_LIMIT = 13;
+
+// 圖片輪播最多10個欄位，欄位按鈕標籤最多12字
+const IMAGE_CAROUSEL_MAX_COLUMNS = 10;
+const IMAGE_CAROUSEL_LABEL_LIMIT = 12;
+
+// 快速回覆按鈕標籤最多20字
+const QUICK_REPLY_LABEL_LIMIT = 20;
+
 /**
  * 創建文字訊息物件
  * @param {string} text 訊息文字
@@ -15,6 +39,24 @@ function createTextMessage(text) {
   };
 }
 
+/**
+ * 將純文字依LINE的長度限制切分為多則文字訊息，盡量在小節之間切分
+ * @param {string} text 純文字
+ * @returns {Array<Object>} 文字訊息物件陣列
+ */
+function createTextMessages(text) {
+  return markdownUtils.splitPlainText(text, TEXT_MESSAGE_LIMIT).map(createTextMessage);
+}
+
+/**
+ * 將markdown轉為純文字（移除 #、- 等標記）後，依LINE的長度限制切分為多則文字訊息
+ * @param {string} markdown markdown文字
+ * @returns {Array<Object>} 文字訊息物件陣列
+ */
+function createPlainTextMessages(markdown) {
+  return createTextMessages(markdownUtils.formatPlainText(markdown));
+}
+
 /**
  * 創建圖片訊息物件
  * @param {string} originalContentUrl 原始圖片URL
@@ -103,6 +145,417 @@ function createCarouselMessage(altText, columns) {
   };
 }
 
+/**
+ * 創建輪播模板的欄位
+ * @param {string} title 標題（最多40字）
+ * @param {string} text 內容（有標題時最多60字）
+ * @param {Array<Object>} actions 按鈕動作陣列（每個欄位的按鈕數量必須相同）
+ * @param {string} [thumbnailImageUrl] 縮圖URL
+ * @returns {Object} 輪播欄位物件
+ */
+function createCarouselColumn(title, text, actions, thumbnailImageUrl) {
+  return {
+    thumbnailImageUrl: thumbnailImageUrl,
+    title: title,
+    text: text,
+    actions: actions
+  };
+}
+
+/**
+ * 創建圖片輪播訊息，點擊圖片以瀏覽器開啟原圖；超過10張圖片時分成多則訊息
+ * @param {string} altText 替代文字
+ * @param {Array<Object>} images 圖片 { url, caption }，url 需為HTTPS的JPEG或PNG
+ * @returns {Array<Object>} 圖片輪播訊息陣列，沒有圖片時為空陣列
+ */
+function createImageCarouselMessages(altText, images) {
+  const messages = [];
+  
+  for (let i = 0; i < images.length; i += IMAGE_CAROUSEL_MAX_COLUMNS) {
+    const columns = images.slice(i, i + IMAGE_CAROUSEL_MAX_COLUMNS).map(image => ({
+      imageUrl: image.url,
+      action: createUriAction(truncate(image.caption || '查看原圖', IMAGE_CAROUSEL_LABEL_LIMIT), image.url)
+    }));
+    
+    messages.push({
+      type: 'template',
+      altText: altText,
+      template: {
+        type: 'image_carousel',
+        columns: columns
+      }
+    });
+  }
+  
+  return messages;
+}
+
+/**
+ * 創建Flex訊息
+ * @param {string} altText 替代文字（最多400字，不支援Flex的環境與通知中顯示）
+ * @param {Object} contents 泡泡（bubble）或輪播（carousel）容器
+ * @returns {Object} Flex訊息物件
+ */
+function createFlexMessage(altText, contents) {
+  return {
+    type: 'flex',
+    altText: truncate(altText, FLEX_ALT_TEXT_LIMIT),
+    contents: contents
+  };
+}
+
+/**
+ * 將markdown內容渲染為Flex訊息
+ * 標題、項目清單、編號步驟與粗體斜體會轉為對應的樣式；內容超過一個泡泡的大小時，
+ * 依小節切分為輪播，hero圖片與頁尾按鈕只出現在第一個泡泡
+ * @param {string} title 標題（顯示於頁首）
+ * @param {string} markdown markdown內容，與標題相同的 # 標題不會重複顯示
+ * @param {Object} [options] 選項
+ * @param {string} [options.imageUrl] hero圖片URL（需為HTTPS）
+ * @param {Array<Object|Array<Object>>} [options.actions] 頁尾按鈕動作，陣列中的陣列會排成同一列
+ * @returns {Object} Flex訊息物件，altText 為轉換後的純文字
+ */
+function createMarkdownFlexMessage(title, markdown, options = {}) {
+  const blocks = markdownUtils.parseMarkdown(markdown)
+    .filter(block => !(block.type === 'heading' && block.level === 1 && block.text === title));
+  
+  const pages = paginateFlexBody(blocks.map(block => ({ block, component: createFlexBlock(block) })));
+  const bubbles = pages.map((contents, i) => createFlexBubble(
+    pages.length > 1 ? `${title}（${i + 1}/${pages.length}）` : title,
+    contents,
+    i === 0 ? options.imageUrl : null,
+    i === 0 ? options.actions : null
+  ));
+  
+  const altText = `${title}\n${markdownUtils.toPlainText(blocks)}`;
+  const contents = bubbles.length === 1
+    ? bubbles[0]
+    : { type: 'carousel', contents: bubbles };
+  
+  return createFlexMessage(altText, contents);
+}
+
+/**
+ * 創建網址卡片Flex訊息，用於無法以LINE訊息直接傳送的外部內容（例如YouTube影片）
+ * @param {string} title 標題（顯示於頁首）
+ * @param {string} text 說明文字
+ * @param {Object} action 開啟內容的網址動作
+ * @param {string} [imageUrl] hero圖片URL（需為HTTPS的JPEG或PNG）
+ * @returns {Object} Flex訊息物件
+ */
+function createLinkCardMessage(title, text, action, imageUrl) {
+  return createFlexMessage(
+    `${title}\n${text}`,
+    createFlexBubble(title, [createFlexText(text)], imageUrl, [action])
+  );
+}
+
+/**
+ * 將區塊元件分配到泡泡中
+ * 盡量在小節標題處分頁；單一泡泡與整個輪播都不超過LINE的大小限制，超過的內容省略
+ * @param {Array<Object>} items 區塊與對應的Flex元件 { block, component }
+ * @returns {Array<Array<Object>>} 每個泡泡的內容元件
+ */
+function paginateFlexBody(items) {
+  const pages = [[]];
+  let pageBytes = 0;
+  let totalBytes = 0;
+  
+  for (let i = 0; i < items.length; i++) {
+    const { block, component } = items[i];
+    const bytes = byteLength(component);
+    
+    // 小節標題開頭時，整個小節放不下就換頁，避免小節被拆開
+    const sectionBytes = block.type === 'heading'
+      ? items.slice(i, findNextHeading(items, i)).reduce((sum, item) => sum + byteLength(item.component), 0)
+      : bytes;
+    const needsNewPage = pages[pages.length - 1].length > 0 &&
+      pageBytes + Math.min(sectionBytes, FLEX_BUBBLE_BODY_BYTES) > FLEX_BUBBLE_BODY_BYTES;
+    
+    if (needsNewPage) {
+      if (pages.length >= FLEX_CAROUSEL_MAX_BUBBLES || totalBytes + FLEX_BUBBLE_BODY_BYTES > FLEX_CAROUSEL_BODY_BYTES) {
+        pages[pages.length - 1].push(createFlexText('（內容過長，其餘部分已省略）', { size: 'xs', color: '#888888' }));
+        break;
+      }
+      pages.push([]);
+      pageBytes = 0;
+    }
+    
+    pages[pages.length - 1].push(component);
+    pageBytes += bytes;
+    totalBytes += bytes;
+  }
+  
+  return pages;
+}
+
+/**
+ * 找出下一個小節標題的位置
+ * @param {Array<Object>} items 區塊與對應的Flex元件
+ * @param {number} start 目前小節標題的位置
+ * @returns {number} 下一個小節標題的位置，沒有時為陣列長度
+ */
+function findNextHeading(items, start) {
+  const next = items.findIndex((item, i) => i > start && item.block.type === 'heading');
+  return next === -1 ? items.length : next;
+}
+
+/**
+ * 將markdown區塊轉為Flex元件
+ * @param {Object} block markdown區塊
+ * @returns {Object} Flex元件
+ */
+function createFlexBlock(block) {
+  const paddingStart = `${(block.depth || 0) * 12}px`;
+  
+  switch (block.type) {
+    case 'heading':
+      return createFlexText(block.text, {
+        weight: 'bold',
+        size: block.level <= 3 ? 'lg' : 'md',
+        color: FLEX_ACCENT_COLOR,
+        margin: 'xl'
+      });
+    
+    case 'bullet':
+    case 'numbered':
+      return {
+        type: 'box',
+        layout: 'baseline',
+        spacing: 'sm',
+        margin: 'sm',
+        paddingStart: paddingStart,
+        contents: [
+          createFlexText(block.type === 'bullet' ? '•' : `${block.number}.`, { flex: 0, color: '#888888' }),
+          createFlexText(block.text, { flex: 1 })
+        ]
+      };
+    
+    default:
+      return createFlexText(block.text, { margin: 'md' });
+  }
+}
+
+/**
+ * 創建Flex文字元件，行內的粗體、斜體與程式碼轉為樣式片段
+ * @param {string} text 文字（可含行內markdown）
+ * @param {Object} [style] 文字元件的樣式屬性
+ * @returns {Object} Flex文字元件
+ */
+function createFlexText(text, style = {}) {
+  const spans = markdownUtils.parseInline(text).filter(span => span.text);
+  const component = {
+    type: 'text',
+    text: spans.map(span => span.text).join('') || ' ',
+    wrap: true,
+    size: 'sm',
+    ...style
+  };
+  
+  if (spans.some(span => span.bold || span.italic || span.code)) {
+    component.contents = spans.map(span => ({
+      type: 'span',
+      text: span.text,
+      weight: span.bold ? 'bold' : undefined,
+      style: span.italic ? 'italic' : undefined,
+      color: span.code ? FLEX_ACCENT_COLOR : undefined
+    }));
+  }
+  
+  return component;
+}
+
+/**
+ * 創建Flex泡泡
+ * @param {string} title 頁首標題
+ * @param {Array<Object>} bodyContents 內容元件
+ * @param {string} [imageUrl] hero圖片URL
+ * @param {Array<Object|Array<Object>>} [actions] 頁尾按鈕動作
+ * @returns {Object} Flex泡泡容器
+ */
+function createFlexBubble(title, bodyContents, imageUrl, actions) {
+  const bubble = {
+    type: 'bubble',
+    size: 'mega',
+    header: {
+      type: 'box',
+      layout: 'vertical',
+      backgroundColor: FLEX_ACCENT_COLOR,
+      contents: [createFlexText(title, { weight: 'bold', size: 'md', color: '#FFFFFF' })]
+    },
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      contents: bodyContents
+    }
+  };
+  
+  if (imageUrl) {
+    bubble.hero = {
+      type: 'image',
+      url: imageUrl,
+      size: 'full',
+      aspectRatio: '20:13',
+      aspectMode: 'cover'
+    };
+  }
+  
+  if (actions && actions.length > 0) {
+    bubble.footer = {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: actions.map(action => Array.isArray(action)
+        ? { type: 'box', layout: 'horizontal', spacing: 'sm', contents: action.map(createFlexButton) }
+        : createFlexButton(action))
+    };
+  }
+  
+  return bubble;
+}
+
+/**
+ * 創建Flex按鈕元件
+ * @param {Object} action 按鈕動作
+ * @returns {Object} Flex按鈕元件
+ */
+function createFlexButton(action) {
+  return {
+    type: 'button',
+    style: 'link',
+    height: 'sm',
+    action: action
+  };
+}
+
+/**
+ * 計算元件序列化後的位元組數（LINE以UTF-8位元組計算Flex訊息大小）
+ * @param {Object} component Flex元件
+ * @returns {number} 位元組數
+ */
+function byteLength(component) {
+  return new TextEncoder().encode(JSON.stringify(component)).length;
+}
+
+/**
+ * 截斷超過長度限制的文字
+ * @param {string} text 原始文字
+ * @param {number} maxLength 最大長度
+ * @returns {string} 截斷後的文字
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength - 3) + '...' : text;
+}
+
+/**
+ * 為訊息加上快速回覆按鈕，訊息原有的快速回覆按鈕會保留在前面
+ * @param {Object} message 訊息物件
+ * @param {Array<Object>} actions 按鈕動作陣列（合計最多13個）
+ * @returns {Object} 含快速回覆的訊息物件
+ */
+function withQuickReply(message, actions) {
+  const existingItems = message.quickReply ? message.quickReply.items : [];
+  
+  return {
+    ...message,
+    quickReply: {
+      items: existingItems.concat(actions.map(action => ({
+        type: 'action',
+        action: action
+      }))).slice(0, QUICK_REPLY_LIMIT)
+    }
+  };
+}
+
+/**
+ * 建立快速回覆按鈕的組裝器，依加入順序排列，略過重複的標籤與超過13個的按鈕
+ * 用法：createQuickReplyBuilder().addText('ICU').addPostback('逐步教學', data).applyTo(message)
+ * @returns {Object} 組裝器 { add, addText, addPostback, build, applyTo }
+ */
+function createQuickReplyBuilder() {
+  const actions = [];
+  const labels = new Set();
+  
+  const builder = {
+    /**
+     * 加入按鈕動作
+     * @param {Object} action 按鈕動作物件
+     * @returns {Object} 組裝器
+     */
+    add(action) {
+      if (action && !labels.has(action.label) && actions.length < QUICK_REPLY_LIMIT) {
+        labels.add(action.label);
+        actions.push(action);
+      }
+      return builder;
+    },
+    
+    /**
+     * 加入點擊後送出文字的按鈕，標籤過長時截斷，送出的文字不變
+     * @param {string} label 按鈕標籤
+     * @param {string} [text] 送出的文字，預設與標籤相同
+     * @returns {Object} 組裝器
+     */
+    addText(label, text = label) {
+      return builder.add(createMessageAction(truncate(label, QUICK_REPLY_LABEL_LIMIT), text));
+    },
+    
+    /**
+     * 加入回傳動作按鈕
+     * @param {string} label 按鈕標籤
+     * @param {string} data 回傳資料（見 createPostbackData）
+     * @param {string} [displayText] 點擊後在聊天室顯示的文字，預設與標籤相同
+     * @returns {Object} 組裝器
+     */
+    addPostback(label, data, displayText = label) {
+      return builder.add(createPostbackAction(truncate(label, QUICK_REPLY_LABEL_LIMIT), data, displayText));
+    },
+    
+    /**
+     * @returns {Array<Object>} 已加入的按鈕動作
+     */
+    build() {
+      return actions.slice();
+    },
+    
+    /**
+     * 將已加入的按鈕附加到訊息的快速回覆，沒有按鈕時原樣返回
+     * @param {Object} message 訊息物件
+     * @returns {Object} 訊息物件
+     */
+    applyTo(message) {
+      return actions.length > 0 ? withQuickReply(message, actions) : message;
+    }
+  };
+  
+  return builder;
+}
+
+/**
+ * 將訊息依單次回覆的則數上限分批
+ * 超過上限時先回覆前5則，並在第5則加上「顯示更多」快速回覆（回傳 action=more）取得其餘訊息
+ * @param {Array<Object>} messages 訊息物件陣列
+ * @returns {Object} { current: 本次回覆的訊息, remaining: 其餘訊息 }
+ */
+function paginateMessages(messages) {
+  if (messages.length <= REPLY_MESSAGE_LIMIT) {
+    return { current: messages, remaining: [] };
+  }
+  
+  const current = messages.slice(0, REPLY_MESSAGE_LIMIT);
+  const remaining = messages.slice(REPLY_MESSAGE_LIMIT);
+  
+  // 「顯示更多」放在最前面，避免第5則已有13個快速回覆按鈕時被截掉
+  const last = current[REPLY_MESSAGE_LIMIT - 1];
+  const existingActions = last.quickReply ? last.quickReply.items.map(item => item.action) : [];
+  current[REPLY_MESSAGE_LIMIT - 1] = withQuickReply({ ...last, quickReply: undefined }, [
+    createPostbackAction(`顯示更多（${remaining.length}）`, createPostbackData('more'), '顯示更多'),
+    ...existingActions
+  ]);
+  
+  return { current, remaining };
+}
+
 /**
  * 創建一個訊息物件陣列
  * @param {...Object} messages 訊息物件
@@ -116,16 +569,37 @@ function createMessages(...messages) {
  * 創建一個按鈕動作
  * @param {string} label 按鈕標籤
  * @param {string} data 回傳資料
+ * @param {string} [displayText] 點擊後在聊天室顯示的文字
  * @returns {Object} 按鈕動作物件
  */
-function createPostbackAction(label, data) {
+function createPostbackAction(label, data, displayText) {
   return {
     type: 'postback',
     label: label,
-    data: data
+    data: data,
+    displayText: displayText
   };
 }
 
+/**
+ * 組裝回傳動作的資料字串，格式為 action=open&id=icu-cvvh-setup
+ * 由 webhook.js 的回傳動作路由解析並分派給對應的處理器
+ * @param {string} action 動作名稱（例如 open、step、page、feedback）
+ * @param {Object} [params] 動作參數，值為undefined或null的參數會被略過
+ * @returns {string} 回傳資料字串（LINE限制最多300字元）
+ */
+function createPostbackData(action, params = {}) {
+  const searchParams = new URLSearchParams({ action });
+  
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) {
+      searchParams.set(key, String(value));
+    }
+  }
+  
+  return searchParams.toString();
+}
+
 /**
  * 創建一個網址動作
  * @param {string} label 按鈕標籤
@@ -156,13 +630,24 @@ function createMessageAction(label, text) {
 
 export default {
   createTextMessage,
+  createTextMessages,
+  createPlainTextMessages,
   createImageMessage,
   createVideoMessage,
   createButtonMessage,
   createConfirmMessage,
   createCarouselMessage,
+  createCarouselColumn,
+  createImageCarouselMessages,
+  createFlexMessage,
+  createMarkdownFlexMessage,
+  createLinkCardMessage,
+  withQuickReply,
+  createQuickReplyBuilder,
+  paginateMessages,
   createMessages,
   createPostbackAction,
+  createPostbackData,
   createUriAction,
   createMessageAction
 }; 
\ No newline at end of file
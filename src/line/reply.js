@@ -0,0 +1,97 @@
+/**
+ * 回覆發送模組
+ * 所有回覆都經過此模組：第一批（最多5則）以回覆令牌回覆，其餘批次以推送訊息傳送；
+ * 回覆令牌無效或已過期（例如處理較久或重送的事件）時全部改以推送傳送。
+ * 「顯示更多」（handleShowMore）保留給先前以分頁送出、仍保存在對話上下文中的訊息
+ */
+
+import lineClient from './client.js';
+import lineMessage from './message.js';
+import dialogService from '../services/dialog.js';
+import logger from '../utils/logger.js';
+
+// LINE每次回覆最多5則訊息
+const REPLY_MESSAGE_LIMIT = 5;
+
+/**
+ * 回覆訊息，超過單次回覆上限的部分以推送傳送；沒有推送對象時留待「顯示更多」
+ * @param {Object} event LINE事件對象
+ * @param {Object|Array<Object>} messages 訊息物件或訊息物件陣列
+ * @returns {Promise<Object>} 傳送結果 { path, replied, pushed }，path 為 reply、push 或 reply+push
+ */
+async function replyWithOverflow(event, messages) {
+  const { replyToken, source } = event;
+  const to = getPushTarget(source);
+  let current = [].concat(messages);
+  
+  // 推送對象依序為群組、聊天室、用戶，沒有推送對象時也沒有用戶ID可保存「顯示更多」的訊息，只能回覆第一批
+  if (!to && current.length > REPLY_MESSAGE_LIMIT) {
+    logger.warn('沒有推送對象，只回覆第一批訊息', { dropped: current.length - REPLY_MESSAGE_LIMIT });
+    current = current.slice(0, REPLY_MESSAGE_LIMIT);
+  }
+  
+  try {
+    return await lineClient.deliverMessages(replyToken, to, current);
+  } catch (error) {
+    if (error.kind !== 'validation') {
+      throw error;
+    }
+    
+    // 訊息不符合LINE的規格（例如Flex內容過長）時，尚未送出的訊息改以純文字傳送，避免用戶收不到任何內容
+    // 回覆令牌在前一批已使用時，純文字訊息會改以推送傳送
+    const delivered = error.delivered || 0;
+    logger.warn('訊息不符合LINE規格，改以純文字傳送', { details: error.details, delivered });
+    return await lineClient.deliverMessages(delivered > 0 ? null : replyToken, to, toPlainTextMessages(current.slice(delivered)));
+  }
+}
+
+/**
+ * 將訊息轉為純文字訊息：文字訊息保留文字，Flex與範本訊息使用替代文字，其他訊息略過
+ * @param {Array<Object>} messages 訊息物件陣列
+ * @returns {Array<Object>} 純文字訊息陣列
+ */
+function toPlainTextMessages(messages) {
+  const texts = messages
+    .map(message => (message.type === 'text' ? message.text : message.altText))
+    .filter(Boolean);
+  
+  if (texts.length === 0) {
+    return [lineMessage.createTextMessage('抱歉，這則內容目前無法顯示，請稍後再試。')];
+  }
+  
+  // 依文字長度上限切分，並維持原本的則數，不增加推送的訊息
+  return texts.flatMap(text => lineMessage.createTextMessages(text)).slice(0, messages.length);
+}
+
+/**
+ * 取得推送訊息的對象：群組與聊天室中推送到群組或聊天室，其他情況推送給用戶
+ * @param {Object} source 事件來源
+ * @returns {string|undefined} 推送對象ID
+ */
+function getPushTarget(source) {
+  return source.groupId || source.roomId || source.userId;
+}
+
+/**
+ * 處理「顯示更多」的請求，發送下一批待發送的訊息
+ * @param {Object} event LINE事件對象
+ * @returns {Promise<any>} 回覆結果
+ */
+async function handleShowMore(event) {
+  const { source } = event;
+  const pending = await dialogService.takePendingMessages(source.userId);
+  
+  if (pending.length === 0) {
+    return await replyWithOverflow(event, {
+      type: 'text',
+      text: '沒有更多內容了。'
+    });
+  }
+  
+  return await replyWithOverflow(event, pending);
+}
+
+export default {
+  replyWithOverflow,
+  handleShowMore
+};
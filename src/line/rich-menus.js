@@ -0,0 +1,171 @@
+/**
+ * 圖文選單（rich menu）定義模組
+ * 定義主選單與各部門選單的按鈕配置，並提供轉換為LINE圖文選單物件的功能
+ * 此模組同時由 Worker（依別名連結部門選單）與 lineClient.provisionRichMenu（由 upload-rich-menus.cjs 建立選單）使用
+ *
+ * 選單定義格式：
+ *   alias        選單別名（LINE上的別名ID為 nursing-別名），Worker以別名找到目前版本的選單
+ *   name         選單名稱（僅管理用，最多300字）
+ *   chatBarText  聊天室下方選單列的文字（最多14字）
+ *   image        選單圖片路徑（2500x1686的PNG或JPEG，最多1MB），按鈕依 columns 由左至右、由上至下排列
+ *   columns      每列的按鈕數
+ *   buttons      按鈕陣列 { label, action }，action 為不含 label 的LINE動作物件
+ */
+
+// 圖文選單尺寸（全尺寸）
+const RICH_MENU_SIZE = { width: 2500, height: 1686 };
+
+// LINE上的別名ID前綴，避免與同一個官方帳號的其他選單衝突
+const ALIAS_PREFIX = 'nursing-';
+
+// 部門代碼與選單上的名稱
+const DEPARTMENTS = [
+  { code: 'icu', label: 'ICU' },
+  { code: 'er', label: 'ER' },
+  { code: 'ward', label: 'Ward' },
+  { code: 'or', label: 'OR' },
+  { code: 'opd', label: 'OPD' },
+  { code: 'nurse', label: 'Nurse' }
+];
+
+// 主選單與部門選單共用的按鈕
+const SEARCH_BUTTON = {
+  label: '搜尋',
+  action: { type: 'postback', data: 'action=search', displayText: '搜尋', inputOption: 'openKeyboard' }
+};
+const FAVORITES_BUTTON = {
+  label: '收藏',
+  action: { type: 'postback', data: 'action=favorites', displayText: '我的收藏' }
+};
+const HELP_BUTTON = {
+  label: '幫助',
+  action: { type: 'message', text: '幫助' }
+};
+
+/**
+ * 主選單：所有部門的入口、搜尋、收藏與幫助，設為預設選單
+ * @returns {Object} 選單定義
+ */
+function createMainMenu() {
+  return {
+    alias: 'main',
+    name: '護理助手主選單',
+    chatBarText: '護理助手選單',
+    image: 'rich-menus/main.png',
+    columns: 3,
+    buttons: [
+      ...DEPARTMENTS.map(department => ({
+        label: department.label,
+        action: { type: 'message', text: department.label }
+      })),
+      SEARCH_BUTTON,
+      FAVORITES_BUTTON,
+      HELP_BUTTON
+    ]
+  };
+}
+
+/**
+ * 部門選單：用戶設定所屬單位後連結，提供該部門的條目列表與最近更新
+ * @param {Object} department 部門 { code, label }
+ * @returns {Object} 選單定義
+ */
+function createDepartmentMenu(department) {
+  const pageData = sort => new URLSearchParams({ action: 'page', dept: department.code, sort }).toString();
+  
+  return {
+    alias: `dept-${department.code}`,
+    name: `護理助手${department.label}選單`,
+    chatBarText: `${department.label}選單`,
+    image: `rich-menus/dept-${department.code}.png`,
+    columns: 3,
+    buttons: [
+      {
+        label: `${department.label}條目`,
+        action: { type: 'postback', data: pageData('order'), displayText: department.label }
+      },
+      {
+        label: '最近更新',
+        action: { type: 'postback', data: pageData('updated'), displayText: '最近更新' }
+      },
+      SEARCH_BUTTON,
+      FAVORITES_BUTTON,
+      HELP_BUTTON,
+      {
+        label: '更換單位',
+        action: { type: 'postback', data: 'action=unit', displayText: '更換單位' }
+      }
+    ]
+  };
+}
+
+/**
+ * 取得所有選單定義，第一個為預設選單
+ * @returns {Array<Object>} 選單定義陣列
+ */
+function getRichMenuDefinitions() {
+  return [createMainMenu(), ...DEPARTMENTS.map(createDepartmentMenu)];
+}
+
+/**
+ * 取得選單別名在LINE上的別名ID
+ * @param {string} alias 選單別名（例如 main、dept-icu）
+ * @returns {string} 別名ID（例如 nursing-dept-icu）
+ */
+function getRichMenuAliasId(alias) {
+  return ALIAS_PREFIX + alias;
+}
+
+/**
+ * 取得部門選單的別名ID
+ * @param {string} department 部門代碼
+ * @returns {string|null} 別名ID，沒有該部門的選單時為null
+ */
+function getDepartmentMenuAliasId(department) {
+  const code = String(department || '').toLowerCase();
+  return DEPARTMENTS.some(item => item.code === code) ? getRichMenuAliasId(`dept-${code}`) : null;
+}
+
+/**
+ * 將選單定義轉換為LINE圖文選單物件，按鈕依格狀平均分配選單圖片的區域
+ * @param {Object} definition 選單定義
+ * @param {boolean} [selected] 是否預設展開選單
+ * @returns {Object} LINE圖文選單物件
+ */
+function toRichMenuObject(definition, selected = true) {
+  const { columns, buttons } = definition;
+  const rows = Math.ceil(buttons.length / columns);
+  const edge = (total, index, count) => Math.round(total * index / count);
+  
+  const areas = buttons.map((button, index) => {
+    const column = index % columns;
+    const row = Math.floor(index / columns);
+    const x = edge(RICH_MENU_SIZE.width, column, columns);
+    const y = edge(RICH_MENU_SIZE.height, row, rows);
+    
+    return {
+      bounds: {
+        x: x,
+        y: y,
+        width: edge(RICH_MENU_SIZE.width, column + 1, columns) - x,
+        height: edge(RICH_MENU_SIZE.height, row + 1, rows) - y
+      },
+      action: { ...button.action, label: button.label }
+    };
+  });
+  
+  return {
+    size: RICH_MENU_SIZE,
+    selected: selected,
+    name: definition.name,
+    chatBarText: definition.chatBarText,
+    areas: areas
+  };
+}
+
+export default {
+  getRichMenuDefinitions,
+  getRichMenuAliasId,
+  getDepartmentMenuAliasId,
+  toRichMenuObject
+};
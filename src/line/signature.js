@@ -0,0 +1,77 @@
+/**
+ * LINE簽名驗證模組
+ * 以 Workers 內建的 WebCrypto（crypto.subtle）驗證 x-line-signature：
+ * 簽名為以頻道密鑰對請求體計算的 HMAC-SHA256，再以Base64編碼
+ * 此模組只使用Web標準API，測試（test/signature.test.js）可直接以Node執行
+ */
+
+// 文字編碼器
+const encoder = new TextEncoder();
+
+// 已匯入的HMAC金鑰，頻道密鑰不變時重複使用
+let cachedKey = null;
+let cachedSecret = null;
+
+/**
+ * 取得頻道密鑰對應的HMAC金鑰
+ * @param {string} channelSecret 頻道密鑰
+ * @returns {Promise<CryptoKey>} 只能用於驗證的HMAC-SHA256金鑰
+ */
+async function getKey(channelSecret) {
+  if (!cachedKey || cachedSecret !== channelSecret) {
+    cachedKey = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(channelSecret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+    cachedSecret = channelSecret;
+  }
+  return cachedKey;
+}
+
+/**
+ * 將Base64字串解碼為位元組
+ * @param {string} text Base64字串
+ * @returns {Uint8Array|null} 位元組，格式無效時為null
+ */
+function decodeBase64(text) {
+  try {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 驗證LINE請求簽名
+ * 以 crypto.subtle.verify 比對簽名，比對時間不因簽名內容而不同，避免以回應時間推測正確的簽名
+ * @param {string} body 原始請求體（必須是未經解析、重新序列化的字串）
+ * @param {string} signature x-line-signature 標頭
+ * @param {string} channelSecret 頻道密鑰
+ * @returns {Promise<boolean>} 簽名是否有效
+ * @throws {Error} 未設定頻道密鑰時
+ */
+async function verifySignature(body, signature, channelSecret) {
+  if (!channelSecret) {
+    throw new Error('未設定 LINE_CHANNEL_SECRET，無法驗證webhook簽名，請以 wrangler secret put LINE_CHANNEL_SECRET 設定');
+  }
+  
+  const signatureBytes = decodeBase64(signature || '');
+  if (!signatureBytes || signatureBytes.length === 0) {
+    return false;
+  }
+  
+  const key = await getKey(channelSecret);
+  return await crypto.subtle.verify('HMAC', key, signatureBytes, encoder.encode(body));
+}
+
+export default {
+  verifySignature
+};
@@ -0,0 +1,208 @@
+/**
+ * LINE API傳輸模組
+ * 分類LINE API的錯誤，對可重試的錯誤（429、5xx、網路錯誤）以加上隨機抖動的指數退避重試，
+ * 並遵守 Retry-After；無法重試的錯誤轉為結構化的錯誤，讓處理器可以據此降級回應
+ */
+
+import logger from '../utils/logger.js';
+
+// 每次請求最多嘗試的次數（含第一次）
+const MAX_ATTEMPTS = 3;
+
+// 指數退避的基本與最長等待時間（毫秒），重試須在Worker的 waitUntil 期限內完成
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 5000;
+
+// Retry-After 超過此時間（毫秒）時不再重試，直接返回錯誤
+const MAX_RETRY_AFTER_MS = 10000;
+
+/**
+ * 錯誤類型
+ * - rate_limit：429，超過請求頻率
+ * - quota：429，超過每月訊息額度，重試也不會成功
+ * - server：5xx，LINE伺服器錯誤
+ * - network：沒有收到回應（連線失敗、逾時）
+ * - reply_token：400，回覆令牌無效或已過期
+ * - validation：400，訊息內容或參數不符合規格
+ * - auth：401、403，頻道存取權杖無效或沒有權限
+ * - not_found：404，資源不存在（例如圖文選單別名）
+ * - conflict：409，相同的重試鍵已被接受
+ * - unknown：其他錯誤
+ */
+const RETRYABLE_KINDS = ['rate_limit', 'server', 'network'];
+
+// 無法確定LINE是否已處理請求的錯誤類型：非冪等的請求（例如回覆訊息）遇到這些錯誤時不重試，避免重複傳送
+const AMBIGUOUS_KINDS = ['server', 'network'];
+
+// 重試前的等待函數，測試時可以 setSleep 改為不等待
+let wait = sleep;
+
+/**
+ * 取得LINE SDK錯誤中的HTTP回應
+ * @param {Error} error LINE SDK拋出的錯誤
+ * @returns {Object|null} axios回應 { status, headers, data }
+ */
+function getResponse(error) {
+  return (error && error.originalError && error.originalError.response) || null;
+}
+
+/**
+ * 解析 Retry-After 標頭（秒數或HTTP日期）
+ * @param {string} value 標頭值
+ * @returns {number|null} 等待時間（毫秒）
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 分類LINE API錯誤
+ * @param {Error} error LINE SDK拋出的錯誤
+ * @returns {Object} { kind, status, retryable, retryAfterMs, apiMessage, details }
+ */
+function classifyError(error) {
+  const response = getResponse(error);
+  const status = (error && error.statusCode) || (response && response.status) || null;
+  const data = (response && response.data) || {};
+  const headers = (response && response.headers) || {};
+  const apiMessage = data.message || (error && error.message) || '';
+  
+  let kind;
+  if (!status) {
+    kind = 'network';
+  } else if (status === 429) {
+    kind = /monthly limit/i.test(apiMessage) ? 'quota' : 'rate_limit';
+  } else if (status >= 500) {
+    kind = 'server';
+  } else if (status === 400) {
+    kind = /reply token/i.test(apiMessage) ? 'reply_token' : 'validation';
+  } else if (status === 401 || status === 403) {
+    kind = 'auth';
+  } else if (status === 404) {
+    kind = 'not_found';
+  } else if (status === 409) {
+    kind = 'conflict';
+  } else {
+    kind = 'unknown';
+  }
+  
+  return {
+    kind,
+    status,
+    retryable: RETRYABLE_KINDS.includes(kind),
+    retryAfterMs: parseRetryAfter(headers['retry-after']),
+    apiMessage,
+    // 驗證錯誤的明細，例如 [{ message: 'Length must be between 0 and 5000', property: 'messages[0].text' }]
+    details: Array.isArray(data.details) ? data.details : []
+  };
+}
+
+/**
+ * 建立結構化的LINE API錯誤
+ * 保留 statusCode 與 originalError（不列入日誌），其餘欄位可直接記錄或供處理器判斷
+ * @param {string} operation API操作名稱
+ * @param {Error} error LINE SDK拋出的錯誤
+ * @param {Object} info classifyError 的結果
+ * @param {number} attempts 已嘗試的次數
+ * @returns {Error} 錯誤物件 { operation, kind, status, retryable, retryAfterMs, apiMessage, details, attempts }
+ */
+function createLineApiError(operation, error, info, attempts) {
+  const lineError = new Error(`LINE API ${operation} 失敗（${info.status || info.kind}）：${info.apiMessage}`);
+  lineError.name = 'LineApiError';
+  Object.assign(lineError, { operation, ...info, attempts, statusCode: info.status });
+  Object.defineProperty(lineError, 'originalError', { value: error, enumerable: false });
+  return lineError;
+}
+
+/**
+ * 計算下次重試前的等待時間：指數退避的一半固定、一半隨機，並至少等到 Retry-After
+ * @param {number} attempt 已嘗試的次數
+ * @param {number|null} retryAfterMs Retry-After 的等待時間
+ * @returns {number} 等待時間（毫秒）
+ */
+function getRetryDelay(attempt, retryAfterMs) {
+  const backoff = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  const jittered = backoff / 2 + Math.random() * backoff / 2;
+  return Math.max(jittered, retryAfterMs || 0);
+}
+
+/**
+ * 等待指定時間
+ * @param {number} ms 毫秒
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 設定重試前的等待函數，例如測試時改用立即完成的函數
+ * @param {Function|null} fn 等待函數，參數為毫秒；null 時恢復實際等待
+ */
+function setSleep(fn) {
+  wait = fn || sleep;
+}
+
+/**
+ * 執行LINE API請求，可重試的錯誤依退避時間重試
+ * 使用重試鍵時，每次嘗試都帶相同的 X-Line-Retry-Key，LINE不會重複傳送已接受的推送；
+ * 重試時收到409表示先前的嘗試已被接受，視為成功
+ * 非冪等且沒有重試鍵的請求只在429（確定未被處理）時重試：例如回覆訊息在5xx或網路錯誤後重試，
+ * 若第一次其實已送達，重試會得到回覆令牌無效，再改以推送傳送就會讓用戶收到兩次
+ * @param {string} operation API操作名稱（用於日誌與錯誤）
+ * @param {Function} call 執行請求的函數，參數為重試鍵（未使用重試鍵時為null）
+ * @param {Object} [options] 選項
+ * @param {boolean} [options.retryKey] 是否使用重試鍵（推送訊息時使用）
+ * @param {boolean} [options.idempotent] 請求是否可安全重複執行，預設為true
+ * @returns {Promise<any>} LINE API回應
+ * @throws {Error} 結構化的LINE API錯誤（見 createLineApiError）
+ */
+async function request(operation, call, options = {}) {
+  const retryKey = options.retryKey ? crypto.randomUUID() : null;
+  
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await call(retryKey);
+    } catch (error) {
+      const info = classifyError(error);
+      
+      if (retryKey && attempt > 1 && info.kind === 'conflict') {
+        logger.info('LINE已接受先前的重試請求', { operation, retryKey, attempt });
+        return {};
+      }
+      
+      const isSafe = options.idempotent !== false || Boolean(retryKey) || !AMBIGUOUS_KINDS.includes(info.kind);
+      const canRetry = info.retryable && isSafe && attempt < MAX_ATTEMPTS &&
+        (info.retryAfterMs === null || info.retryAfterMs <= MAX_RETRY_AFTER_MS);
+      if (!canRetry) {
+        throw createLineApiError(operation, error, info, attempt);
+      }
+      
+      const delay = getRetryDelay(attempt, info.retryAfterMs);
+      logger.warn('LINE API請求失敗，稍後重試', {
+        operation,
+        kind: info.kind,
+        status: info.status,
+        attempt,
+        delay: Math.round(delay)
+      });
+      await wait(delay);
+    }
+  }
+}
+
+export default {
+  setSleep,
+  classifyError,
+  request
+};
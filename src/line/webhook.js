@@ -3,11 +3,17 @@
  * 處理LINE的webhook請求和事件分發
  */
 
-import lineClient from './client';
-import logger from '../utils/logger';
-import textHandler from '../handlers/text';
-import imageHandler from '../handlers/image';
-import videoHandler from '../handlers/video';
+import lineClient from './client.js';
+import logger from '../utils/logger.js';
+import textHandler from '../handlers/text.js';
+import imageHandler from '../handlers/image.js';
+import videoHandler from '../handlers/video.js';
+import walkthroughHandler from '../handlers/walkthrough.js';
+import menuHandler from '../handlers/menu.js';
+import dialogService from '../services/dialog.js';
+import knowledgeService from '../services/knowledge.js';
+import replyService from './reply.js';
+import idempotency from './idempotency.js';
 
 /**
  * 處理webhook事件
@@ -16,7 +22,18 @@ import videoHandler from '../handlers/video';
  */
 async function handleEvent(event) {
   logger.debug('收到LINE事件', event);
+  
+  // 同一事件內的對話上下文讀寫都在記憶體中進行，事件結束時寫入一次
+  const userId = event.source && event.source.userId;
+  return await dialogService.withUserContext(userId, () => dispatchEvent(event));
+}
 
+/**
+ * 依事件類型分派事件，處理失敗時發送錯誤回應
+ * @param {Object} event LINE事件對象
+ * @returns {Promise<any>} 處理結果
+ */
+async function dispatchEvent(event) {
   try {
     // 根據事件類型分派給不同的處理器
     switch (event.type) {
@@ -42,7 +59,7 @@ async function handleEvent(event) {
     // 嘗試發送錯誤回應
     if (event.replyToken) {
       try {
-        await lineClient.replyMessage(event.replyToken, {
+        await replyService.replyWithOverflow(event, {
           type: 'text',
           text: '抱歉，我現在遇到了一些問題，請稍後再試。'
         });
@@ -61,7 +78,7 @@ async function handleEvent(event) {
  * @returns {Promise<any>} 處理結果
  */
 async function handleMessageEvent(event) {
-  const { message, replyToken } = event;
+  const { message } = event;
   
   // 根據消息類型分派給不同的處理器
   switch (message.type) {
@@ -78,7 +95,7 @@ async function handleMessageEvent(event) {
       logger.warn(`未處理的消息類型: ${message.type}`, message);
       
       // 對於未處理的消息類型，發送溫和的回應
-      return await lineClient.replyMessage(replyToken, {
+      return await replyService.replyWithOverflow(event, {
         type: 'text',
         text: '抱歉，我還不知道如何處理這種類型的訊息。請嘗試發送文字訊息給我。'
       });
@@ -91,13 +108,13 @@ async function handleMessageEvent(event) {
  * @returns {Promise<any>} 處理結果
  */
 async function handleFollowEvent(event) {
-  const { replyToken, source } = event;
+  const { source } = event;
   const userId = source.userId;
   
   logger.info(`用戶 ${userId} 開始關注機器人`);
   
   // 發送歡迎訊息
-  return await lineClient.replyMessage(replyToken, {
+  return await replyService.replyWithOverflow(event, {
     type: 'text',
     text: '您好！我是三總護理助手，很高興為您服務。我可以回答您在護理工作中遇到的問題，也可以提供護理知識。請隨時向我提問，我會盡力幫助您。'
   });
@@ -114,36 +131,166 @@ async function handleUnfollowEvent(event) {
   
   logger.info(`用戶 ${userId} 取消關注機器人`);
   
-  // 這裡可以添加用戶取消關注的清理邏輯
+  // 清除保存的對話上下文
+  await dialogService.clearUserContext(userId);
   return;
 }
 
 /**
  * 處理回傳事件
+ * 回傳資料格式為 action=open&id=icu-cvvh-setup（由 lineMessage.createPostbackData 產生），
+ * 依 action 分派給 POSTBACK_ACTIONS 中的處理器
  * @param {Object} event 回傳事件
  * @returns {Promise<any>} 處理結果
  */
 async function handlePostbackEvent(event) {
-  const { postback, replyToken } = event;
-  const { data } = postback;
+  const { postback } = event;
+  const { action, params } = parsePostbackData(postback.data);
+  
+  logger.debug(`收到回傳事件`, { action, params });
   
-  logger.debug(`收到回傳事件`, { data });
+  // 只接受路由表本身定義的動作，避免 action=constructor 等取到繼承的屬性
+  const handler = Object.hasOwn(POSTBACK_ACTIONS, action) ? POSTBACK_ACTIONS[action] : null;
+  const missing = handler ? handler.required.filter(name => !params[name]) : [];
+  const invalid = handler && missing.length === 0 && handler.validate && !handler.validate(params);
   
-  // 處理回傳數據
-  // 這裡可以根據data的內容進行不同的業務邏輯處理
+  if (!handler || missing.length > 0 || invalid) {
+    logger.warn('無法處理的回傳資料', { data: postback.data, missing });
+    return await replyService.replyWithOverflow(event, {
+      type: 'text',
+      text: '抱歉，這個按鈕已失效，請重新查詢。'
+    });
+  }
   
-  return await lineClient.replyMessage(replyToken, {
+  return await handler.handle(event, params);
+}
+
+/**
+ * 解析回傳資料
+ * @param {string} data 回傳資料字串
+ * @returns {Object} { action, params }，params 為其餘參數的物件
+ */
+function parsePostbackData(data) {
+  const { action, ...params } = Object.fromEntries(new URLSearchParams(data || ''));
+  return { action: action || null, params };
+}
+
+/**
+ * 處理用戶對知識條目的回饋
+ * @param {Object} event 回傳事件
+ * @param {Object} params 回傳參數 { id, value }，value 為 up 或 down
+ * @returns {Promise<any>} 處理結果
+ */
+async function handleFeedback(event, params) {
+  const { source } = event;
+  
+  logger.info(`用戶 ${source.userId} 對知識條目的回饋`, { id: params.id, value: params.value });
+  
+  return await replyService.replyWithOverflow(event, {
     type: 'text',
-    text: `已收到您的選擇。`
+    text: '感謝您的回饋！'
+  });
+}
+
+// 逐步教學的切換指令
+const STEP_DIRECTIONS = ['next', 'prev', 'end'];
+
+// 回傳動作路由：action → { required: 必要參數, validate: 檢查參數值（選用）, handle: 處理器 }
+const POSTBACK_ACTIONS = {
+  // 開啟知識條目：action=open&id=icu-cvvh-setup
+  open: {
+    required: ['id'],
+    handle: (event, params) => textHandler.handleOpenEntry(event, params.id)
+  },
+  // 逐步教學：action=step&id=icu-cvvh-setup（可加 n=3 從第3步開始）開始，action=step&dir=next|prev|end 切換步驟
+  step: {
+    required: [],
+    validate: params => Boolean(params.id) || STEP_DIRECTIONS.includes(params.dir),
+    handle: (event, params) => params.id
+      ? walkthroughHandler.startWalkthrough(event, params.id, params.n ? `step-${params.n}` : undefined)
+      : walkthroughHandler.handleStepCommand(event, params.dir)
+  },
+  // 部門列表換頁或切換排序：action=page&dept=icu&cursor=30&sort=views
+  page: {
+    required: ['dept'],
+    handle: (event, params) =>
+      textHandler.handleDepartmentPage(event, params.dept, Number(params.cursor) || 0, params.sort)
+  },
+  // 知識條目回饋：action=feedback&id=icu-cvvh-setup&value=up
+  feedback: {
+    required: ['id', 'value'],
+    handle: handleFeedback
+  },
+  // 顯示超過單次回覆上限的其餘訊息：action=more
+  more: {
+    required: [],
+    handle: event => replyService.handleShowMore(event)
+  },
+  // 圖文選單的搜尋：action=search
+  search: {
+    required: [],
+    handle: event => menuHandler.handleSearchPrompt(event)
+  },
+  // 顯示收藏：action=favorites
+  favorites: {
+    required: [],
+    handle: event => menuHandler.handleFavorites(event)
+  },
+  // 加入或移出收藏：action=favorite&id=icu-cvvh-setup（可加 op=remove 移出）
+  favorite: {
+    required: ['id'],
+    handle: (event, params) => menuHandler.handleFavoriteChange(event, params.id, params.op)
+  },
+  // 設定所屬單位並連結部門圖文選單：action=unit&dept=icu，不帶 dept 時恢復主選單
+  unit: {
+    required: [],
+    handle: (event, params) => menuHandler.handleSetUnit(event, params.dept)
+  }
+};
+
+/**
+ * 處理webhook中的單一事件，略過已處理過的重送事件
+ * 事件登記後才處理，處理失敗時不會再處理（見 idempotency.js）
+ * @param {Object} event LINE事件對象
+ * @returns {Promise<any>} 處理結果，略過時為null
+ */
+async function handleWebhookEvent(event) {
+  if (!(await idempotency.claimEvent(event))) {
+    return null;
+  }
+  
+  return await handleEvent(event);
+}
+
+/**
+ * 處理webhook中的所有事件，各事件獨立處理，單一事件失敗只記錄錯誤，不影響其他事件
+ * @param {Array<Object>} events LINE事件列表
+ * @returns {Promise<void>}
+ */
+async function processEvents(events) {
+  const results = await Promise.allSettled(events.map(handleWebhookEvent));
+  
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      const event = events[index];
+      logger.error('處理webhook事件失敗', {
+        webhookEventId: event.webhookEventId,
+        type: event.type,
+        error: result.reason
+      });
+    }
   });
 }
 
 /**
  * 處理來自LINE的webhook請求
+ * 驗證簽名後立即回傳200，事件交由 ctx.waitUntil 在回應後處理，
+ * 避免處理較慢或失敗的事件讓LINE判定整批webhook逾時或失敗
  * @param {Request} request 請求對象
+ * @param {Object} [ctx] Workers執行環境；未提供時（例如本地測試）等待事件處理完成才回應
  * @returns {Promise<Response>} 回應對象
  */
-async function handleWebhook(request) {
+async function handleWebhook(request, ctx) {
   // 驗證請求簽名
   const signature = request.headers.get('x-line-signature');
   if (!signature) {
@@ -155,7 +302,15 @@ async function handleWebhook(request) {
   const body = await request.text();
   
   // 驗證簽名
-  if (!lineClient.validateSignature(body, signature)) {
+  let isValid;
+  try {
+    isValid = await lineClient.validateSignature(body, signature);
+  } catch (error) {
+    logger.error('無法驗證LINE簽名', { error });
+    return new Response('Internal Server Error', { status: 500 });
+  }
+  
+  if (!isValid) {
     logger.warn('無效的LINE簽名');
     return new Response('Forbidden', { status: 403 });
   }
@@ -169,8 +324,13 @@ async function handleWebhook(request) {
     return new Response('Bad Request', { status: 400 });
   }
   
-  // 處理所有事件
-  await Promise.all(events.map(handleEvent));
+  // 處理所有事件，完成後寫入累計的瀏覽次數
+  const processing = processEvents(events || []).then(() => knowledgeService.flushViews());
+  if (ctx && typeof ctx.waitUntil === 'function') {
+    ctx.waitUntil(processing);
+  } else {
+    await processing;
+  }
   
   // 回傳成功
   return new Response('OK', { status: 200 });
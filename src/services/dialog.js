@@ -3,43 +3,175 @@
  * 管理用戶與機器人之間的對話流程和上下文
  */
 
-import logger from '../utils/logger';
+import logger from '../utils/logger.js';
+import storage from '../utils/storage.js';
 
-// 用戶對話上下文緩存
-// 在真實環境中應該使用KV存儲或資料庫
-const userContexts = new Map();
+// 用戶對話上下文的存儲，首次使用時依環境建立（有KV綁定時存於 dialog:用戶ID）
+let contextStore = null;
 
 // 對話記錄的最大長度
 const MAX_DIALOG_HISTORY = 10;
 
+// 對話上下文的存活時間（秒），超過一個班次未互動即重新開始
+const CONTEXT_TTL = 12 * 60 * 60;
+
+// 處理中事件的用戶對話上下文（用戶ID → 工作階段）
+// KV 每個鍵每秒最多寫入一次且為最終一致性，同一事件內的讀寫都作用於記憶體中的同一份上下文，事件結束時才寫入一次
+const activeSessions = new Map();
+
+/**
+ * 取得用戶對話上下文的存儲
+ * @returns {Object} 存儲物件
+ */
+function getStore() {
+  if (!contextStore) {
+    contextStore = storage.createDefaultStore('dialog:');
+  }
+  return contextStore;
+}
+
+/**
+ * 設定用戶對話上下文的存儲，例如測試時改用 storage.createMemoryStore()
+ * @param {Object} store 存儲物件
+ */
+function setStore(store) {
+  contextStore = store;
+}
+
+/**
+ * 建立新的用戶對話上下文
+ * @returns {Object} 用戶對話上下文
+ */
+function createContext() {
+  return {
+    history: []
+  };
+}
+
+/**
+ * 從存儲讀取用戶對話上下文
+ * @param {string} userId 用戶ID
+ * @returns {Promise<Object>} 用戶對話上下文，讀取失敗或不存在時為新的上下文
+ */
+async function loadUserContext(userId) {
+  try {
+    return (await getStore().get(userId)) || createContext();
+  } catch (error) {
+    logger.error('讀取用戶對話上下文失敗', { userId, error });
+    return createContext();
+  }
+}
+
+/**
+ * 在同一份用戶對話上下文中處理一個事件
+ * 事件處理期間 getUserContext 與 saveUserContext 只讀寫記憶體，最多讀取一次KV，
+ * 處理結束後有變更時才寫入一次；同一用戶同時處理的事件共用同一份上下文，最後一個結束時寫入
+ * @param {string} userId 用戶ID，沒有時直接處理（每次讀寫都存取KV）
+ * @param {Function} handler 處理事件的函數
+ * @returns {Promise<any>} handler 的結果
+ */
+async function withUserContext(userId, handler) {
+  if (!userId) {
+    return await handler();
+  }
+  
+  let session = activeSessions.get(userId);
+  if (!session) {
+    session = { context: null, loading: null, dirty: false, deleted: false, users: 0 };
+    activeSessions.set(userId, session);
+  }
+  session.users++;
+  
+  try {
+    return await handler();
+  } finally {
+    session.users--;
+    if (session.users === 0) {
+      activeSessions.delete(userId);
+      await flushSession(userId, session);
+    }
+  }
+}
+
+/**
+ * 將工作階段的變更寫入存儲
+ * @param {string} userId 用戶ID
+ * @param {Object} session 工作階段
+ */
+async function flushSession(userId, session) {
+  if (session.deleted) {
+    await deleteUserContext(userId);
+  } else if (session.dirty) {
+    await putUserContext(userId, session.context);
+  }
+}
+
 /**
  * 獲取用戶對話上下文
  * @param {string} userId 用戶ID
- * @returns {Object} 用戶對話上下文
+ * @returns {Promise<Object>} 用戶對話上下文
  */
-function getUserContext(userId) {
-  if (!userContexts.has(userId)) {
-    // 初始化新用戶的對話上下文
-    userContexts.set(userId, {
-      history: [],
-      lastInteraction: new Date().toISOString()
-    });
+async function getUserContext(userId) {
+  const session = activeSessions.get(userId);
+  let context;
+  
+  if (session) {
+    if (!session.context) {
+      session.loading = session.loading || loadUserContext(userId);
+      const loaded = await session.loading;
+      session.context = session.context || loaded;
+    }
+    context = session.context;
+  } else {
+    context = await loadUserContext(userId);
   }
   
   // 更新最後互動時間
-  const context = userContexts.get(userId);
   context.lastInteraction = new Date().toISOString();
   
   return context;
 }
 
+/**
+ * 保存用戶對話上下文
+ * 事件處理中只標記變更，由 withUserContext 在事件結束時寫入
+ * @param {string} userId 用戶ID
+ * @param {Object} context 用戶對話上下文
+ */
+async function saveUserContext(userId, context) {
+  const session = activeSessions.get(userId);
+  
+  if (session) {
+    session.context = context;
+    session.dirty = true;
+    session.deleted = false;
+    return;
+  }
+  
+  await putUserContext(userId, context);
+}
+
+/**
+ * 寫入用戶對話上下文，並重新計算存活時間
+ * 寫入失敗只記錄錯誤，不影響回覆用戶
+ * @param {string} userId 用戶ID
+ * @param {Object} context 用戶對話上下文
+ */
+async function putUserContext(userId, context) {
+  try {
+    await getStore().put(userId, context, { ttl: CONTEXT_TTL });
+  } catch (error) {
+    logger.error('保存用戶對話上下文失敗', { userId, error });
+  }
+}
+
 /**
  * 記錄用戶訊息
  * @param {string} userId 用戶ID
  * @param {string} message 用戶訊息
  */
 async function recordUserMessage(userId, message) {
-  const context = getUserContext(userId);
+  const context = await getUserContext(userId);
   
   // 添加用戶訊息到對話歷史
   context.history.push({
@@ -55,13 +187,7 @@ async function recordUserMessage(userId, message) {
   
   logger.debug(`記錄用戶 ${userId} 的訊息`, { message });
   
-  // 在實際環境中，這裡可以將對話記錄保存到KV存儲或資料庫
-  try {
-    // 假設我們有一個NURSING_KNOWLEDGE.put方法來存儲數據
-    // await NURSING_KNOWLEDGE.put(`dialog:${userId}`, JSON.stringify(context));
-  } catch (error) {
-    logger.error('保存用戶對話上下文失敗', { userId, error });
-  }
+  await saveUserContext(userId, context);
 }
 
 /**
@@ -70,7 +196,7 @@ async function recordUserMessage(userId, message) {
  * @param {string} imageId 圖片ID
  */
 async function recordUserImage(userId, imageId) {
-  const context = getUserContext(userId);
+  const context = await getUserContext(userId);
   
   // 添加用戶圖片到對話歷史
   context.history.push({
@@ -86,7 +212,7 @@ async function recordUserImage(userId, imageId) {
   
   logger.debug(`記錄用戶 ${userId} 的圖片`, { imageId });
   
-  // 在實際環境中，這裡可以將對話記錄保存到KV存儲或資料庫
+  await saveUserContext(userId, context);
 }
 
 /**
@@ -95,7 +221,7 @@ async function recordUserImage(userId, imageId) {
  * @param {string} videoId 影片ID
  */
 async function recordUserVideo(userId, videoId) {
-  const context = getUserContext(userId);
+  const context = await getUserContext(userId);
   
   // 添加用戶影片到對話歷史
   context.history.push({
@@ -111,34 +237,22 @@ async function recordUserVideo(userId, videoId) {
   
   logger.debug(`記錄用戶 ${userId} 的影片`, { videoId });
   
-  // 在實際環境中，這裡可以將對話記錄保存到KV存儲或資料庫
+  await saveUserContext(userId, context);
 }
 
 /**
- * 記錄機器人訊息
+ * 記錄機器人的回應
+ * 只記錄回應的主題，不保存訊息內容，避免上下文超過KV的大小與寫入頻率限制
  * @param {string} userId 用戶ID
- * @param {string|Array} message 機器人訊息或訊息陣列
+ * @param {Object} topic 回應的主題 { entryId, department, anchor }，供之後的追問使用
  */
-async function recordBotMessage(userId, message) {
-  const context = getUserContext(userId);
-  
-  // 將訊息格式化為字符串
-  let messageStr = '';
+async function recordBotMessage(userId, topic) {
+  const context = await getUserContext(userId);
   
-  if (typeof message === 'string') {
-    messageStr = message;
-  } else if (Array.isArray(message)) {
-    // 如果是消息數組（比如包含文本、圖片等的複合消息）
-    messageStr = JSON.stringify(message);
-  } else {
-    // 如果是單個消息對象
-    messageStr = JSON.stringify(message);
-  }
-  
-  // 添加機器人訊息到對話歷史
+  // 添加機器人回應的主題到對話歷史
   context.history.push({
     role: 'bot',
-    content: messageStr,
+    topic: topic,
     timestamp: new Date().toISOString()
   });
   
@@ -147,38 +261,142 @@ async function recordBotMessage(userId, message) {
     context.history.shift();
   }
   
-  logger.debug(`記錄機器人對用戶 ${userId} 的回應`);
+  logger.debug(`記錄機器人對用戶 ${userId} 的回應`, topic);
   
-  // 在實際環境中，這裡可以將對話記錄保存到KV存儲或資料庫
+  await saveUserContext(userId, context);
 }
 
 /**
  * 獲取用戶對話歷史
  * @param {string} userId 用戶ID
- * @returns {Array} 對話歷史陣列
+ * @returns {Promise<Array>} 對話歷史陣列
  */
-function getDialogHistory(userId) {
-  const context = getUserContext(userId);
+async function getDialogHistory(userId) {
+  const context = await getUserContext(userId);
   return context.history;
 }
 
+/**
+ * 獲取對話歷史中最近一次回應的主題
+ * @param {string} userId 用戶ID
+ * @returns {Promise<Object|null>} 主題 { entryId, department, anchor } 或null
+ */
+async function getLastTopic(userId) {
+  const history = await getDialogHistory(userId);
+  const lastWithTopic = history.slice().reverse().find(item => item.role === 'bot' && item.topic);
+  
+  return lastWithTopic ? lastWithTopic.topic : null;
+}
+
+/**
+ * 獲取用戶進行中的逐步教學狀態
+ * @param {string} userId 用戶ID
+ * @returns {Promise<Object|null>} 逐步教學狀態 { entryId, position }，沒有進行中的教學時為null
+ */
+async function getWalkthroughState(userId) {
+  const context = await getUserContext(userId);
+  return context.walkthrough || null;
+}
+
+/**
+ * 保存用戶的逐步教學狀態
+ * @param {string} userId 用戶ID
+ * @param {Object} state 逐步教學狀態 { entryId, position }
+ */
+async function setWalkthroughState(userId, state) {
+  const context = await getUserContext(userId);
+  context.walkthrough = state;
+  await saveUserContext(userId, context);
+  
+  logger.debug(`保存用戶 ${userId} 的逐步教學狀態`, state);
+}
+
+/**
+ * 結束用戶的逐步教學
+ * @param {string} userId 用戶ID
+ */
+async function clearWalkthroughState(userId) {
+  const context = await getUserContext(userId);
+  delete context.walkthrough;
+  await saveUserContext(userId, context);
+  
+  logger.debug(`清除用戶 ${userId} 的逐步教學狀態`);
+}
+
+/**
+ * 保存超過單次回覆上限、等待用戶點選「顯示更多」的訊息
+ * @param {string} userId 用戶ID
+ * @param {Array<Object>} messages 待發送的訊息物件陣列
+ */
+async function setPendingMessages(userId, messages) {
+  const context = await getUserContext(userId);
+  context.pendingMessages = messages;
+  await saveUserContext(userId, context);
+  
+  logger.debug(`保存用戶 ${userId} 的待發送訊息`, { count: messages.length });
+}
+
+/**
+ * 取出並清除待發送的訊息
+ * @param {string} userId 用戶ID
+ * @returns {Promise<Array<Object>>} 待發送的訊息物件陣列，沒有時為空陣列
+ */
+async function takePendingMessages(userId) {
+  const context = await getUserContext(userId);
+  const messages = context.pendingMessages || [];
+  
+  if (messages.length > 0) {
+    delete context.pendingMessages;
+    await saveUserContext(userId, context);
+  }
+  
+  return messages;
+}
+
 /**
  * 清除用戶對話上下文
  * @param {string} userId 用戶ID
  */
-function clearUserContext(userId) {
-  userContexts.delete(userId);
-  logger.debug(`清除用戶 ${userId} 的對話上下文`);
+async function clearUserContext(userId) {
+  const session = activeSessions.get(userId);
   
-  // 在實際環境中，這裡可以從KV存儲或資料庫中刪除用戶上下文
+  if (session) {
+    session.context = createContext();
+    session.dirty = false;
+    session.deleted = true;
+  } else {
+    await deleteUserContext(userId);
+  }
+  
+  logger.debug(`清除用戶 ${userId} 的對話上下文`);
+}
+
+/**
+ * 從存儲刪除用戶對話上下文
+ * @param {string} userId 用戶ID
+ */
+async function deleteUserContext(userId) {
+  try {
+    await getStore().delete(userId);
+  } catch (error) {
+    logger.error('清除用戶對話上下文失敗', { userId, error });
+  }
 }
 
 export default {
+  setStore,
+  withUserContext,
   getUserContext,
   recordUserMessage,
   recordUserImage,
   recordUserVideo,
   recordBotMessage,
   getDialogHistory,
+  getLastTopic,
+  getWalkthroughState,
+  setWalkthroughState,
+  clearWalkthroughState,
+  setPendingMessages,
+  takePendingMessages,
   clearUserContext
 }; 
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * 收藏服務模組
+ * 保存用戶收藏的知識條目，供圖文選單的「收藏」快速開啟常用的SOP
+ */
+
+import logger from '../utils/logger.js';
+import storage from '../utils/storage.js';
+
+// 收藏的存儲，首次使用時依環境建立（有KV綁定時存於 favorites:用戶ID，不會過期）
+let favoritesStore = null;
+
+// 每位用戶最多收藏的條目數（收藏列表以輪播模板顯示，最多10個欄位）
+const MAX_FAVORITES = 10;
+
+/**
+ * 取得收藏的存儲
+ * @returns {Object} 存儲物件
+ */
+function getStore() {
+  if (!favoritesStore) {
+    favoritesStore = storage.createDefaultStore('favorites:');
+  }
+  return favoritesStore;
+}
+
+/**
+ * 設定收藏的存儲，例如測試時改用 storage.createMemoryStore()
+ * @param {Object} store 存儲物件
+ */
+function setStore(store) {
+  favoritesStore = store;
+}
+
+/**
+ * 獲取用戶收藏的知識條目ID
+ * @param {string} userId 用戶ID
+ * @returns {Promise<Array<string>>} 知識條目ID，最近收藏的在前
+ */
+async function getFavorites(userId) {
+  try {
+    return (await getStore().get(userId)) || [];
+  } catch (error) {
+    logger.error('讀取用戶收藏失敗', { userId, error });
+    return [];
+  }
+}
+
+/**
+ * 將知識條目加入收藏，已收藏的條目移到最前面；超過上限時移除最早收藏的條目
+ * @param {string} userId 用戶ID
+ * @param {string} id 知識條目ID
+ * @returns {Promise<Array<string>>} 更新後的收藏
+ */
+async function addFavorite(userId, id) {
+  const favorites = [id, ...(await getFavorites(userId)).filter(item => item !== id)].slice(0, MAX_FAVORITES);
+  await getStore().put(userId, favorites);
+  return favorites;
+}
+
+/**
+ * 將知識條目從收藏移除
+ * @param {string} userId 用戶ID
+ * @param {string} id 知識條目ID
+ * @returns {Promise<Array<string>>} 更新後的收藏
+ */
+async function removeFavorite(userId, id) {
+  const favorites = (await getFavorites(userId)).filter(item => item !== id);
+  await getStore().put(userId, favorites);
+  return favorites;
+}
+
+export default {
+  setStore,
+  getFavorites,
+  addFavorite,
+  removeFavorite
+};
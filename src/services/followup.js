@@ -0,0 +1,128 @@
+/**
+ * 追問處理模組
+ * 將沒有重複主題的追問（例如「有影片嗎」、「注意事項是什麼」、「ER的呢」）
+ * 對應到對話歷史中最近一次回應的知識條目或部門
+ */
+
+import knowledgeService from './knowledge.js';
+import textUtils from '../utils/text.js';
+import logger from '../utils/logger.js';
+
+// 詢問影片的用語
+const VIDEO_PATTERN = /影片|視頻|video|youtube/i;
+
+// 換部門追問的前後綴，例如「那ER的呢」（查詢已正規化並移除標點）
+const DEPARTMENT_FOLLOW_UP_PREFIX = /^(那麼|那|還有|換)/;
+const DEPARTMENT_FOLLOW_UP_SUFFIX = /(的呢|呢|的)$/;
+
+/**
+ * 將追問對應到上一次回應的主題
+ * 查詢本身包含關鍵詞時視為新的查詢，不做處理
+ * @param {string} query 用戶查詢文字
+ * @param {Object|null} topic 上一次回應的主題 { entryId, department, anchor }
+ * @returns {Promise<Object|null>} 與 knowledgeService.getResponse 相同格式的回應，無法對應時為null
+ */
+async function resolveFollowUp(query, topic) {
+  if (!topic) {
+    return null;
+  }
+  
+  try {
+    if (await knowledgeService.hasKeywordMatch(query)) {
+      return null;
+    }
+    
+    // 換部門追問：同一主題在其他部門的條目
+    const department = await findFollowUpDepartment(query);
+    if (department) {
+      logger.debug('識別為換部門追問', { query, department, topic });
+      return await resolveDepartmentFollowUp(topic, department);
+    }
+    
+    if (!topic.entryId) {
+      return null;
+    }
+    
+    const entry = await knowledgeService.getKnowledgeById(topic.entryId);
+    if (!entry) {
+      return null;
+    }
+    
+    const title = textUtils.extractTitle(entry.text);
+    
+    // 詢問上一個條目的影片
+    if (VIDEO_PATTERN.test(query)) {
+      logger.debug('識別為影片追問', { query, id: entry.id });
+      
+      return {
+        isVideoAnswer: true,
+        id: entry.id,
+        title: title,
+        videoUrl: entry.videoUrl || null,
+        videoPreviewUrl: entry.videoPreviewUrl
+      };
+    }
+    
+    // 詢問上一個條目中的某個小節，例如「注意事項是什麼」
+    const section = await knowledgeService.findEntrySection(query, entry);
+    if (section) {
+      logger.debug('識別為小節追問', { query, id: entry.id, anchor: section.anchor });
+      return {
+        isSectionAnswer: true,
+        id: entry.id,
+        title: title,
+        section: section,
+        images: entry.images
+      };
+    }
+    
+    return null;
+  } catch (error) {
+    logger.error('處理追問時出錯', { error, query, topic });
+    return null;
+  }
+}
+
+/**
+ * 從「ER的呢」、「那ICU呢」這類追問中取出部門代碼
+ * 只有部門名稱本身（例如「ER」）不算追問，交由一般的部門查詢處理
+ * @param {string} query 用戶查詢文字
+ * @returns {Promise<string|null>} 部門代碼或null
+ */
+async function findFollowUpDepartment(query) {
+  const normalizedQuery = textUtils.compactText(query);
+  const stripped = normalizedQuery
+    .replace(DEPARTMENT_FOLLOW_UP_PREFIX, '')
+    .replace(DEPARTMENT_FOLLOW_UP_SUFFIX, '');
+  
+  if (!stripped || stripped === normalizedQuery) {
+    return null;
+  }
+  
+  return await knowledgeService.findDepartment(stripped);
+}
+
+/**
+ * 回應換部門追問：有同一主題的條目時回答該條目，否則列出該部門的條目
+ * @param {Object} topic 上一次回應的主題
+ * @param {string} department 部門代碼
+ * @returns {Promise<Object>} 知識條目或部門列表
+ */
+async function resolveDepartmentFollowUp(topic, department) {
+  const entry = topic.entryId ? await knowledgeService.getKnowledgeById(topic.entryId) : null;
+  const related = entry ? await knowledgeService.findRelatedEntry(entry, department) : null;
+  
+  if (related) {
+    return related;
+  }
+  
+  return {
+    isDepartmentListing: true,
+    department: department,
+    entries: await knowledgeService.getDepartmentEntries(department)
+  };
+}
+
+export default {
+  resolveFollowUp
+};
@@ -3,17 +3,70 @@
  * 管理和提供護理知識庫的內容
  */
 
-import logger from '../utils/logger';
-import config from '../utils/config';
+import logger from '../utils/logger.js';
+import config from '../utils/config.js';
+import textUtils from '../utils/text.js';
+import synonymUtils from '../utils/synonyms.js';
 
 // 護理知識庫初始化為空陣列
 // 實際數據將從 KV 存儲中獲取
 const nursingKnowledge = [];
 
+// 關鍵詞匹配評分權重
+const MATCH_WEIGHTS = {
+  exact: 100,          // 查詢與關鍵詞完全相同
+  keywordChar: 10,     // 查詢包含關鍵詞時，依最長關鍵詞的字數計分
+  partialChar: 5,      // 關鍵詞包含查詢時，依查詢的字數計分
+  distinctKeyword: 5,  // 每多命中一個不同的關鍵詞
+  titleInQuery: 30,    // 查詢包含條目標題
+  queryInTitle: 20,    // 條目標題包含查詢
+  textRelevance: 20    // 全文檢索的相關度（依最高BM25分數正規化）
+};
+
+// BM25參數：詞頻飽和度與文件長度正規化程度
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// 僅由全文檢索找到的條目，至少需命中此比例的查詢詞彙才列為候選
+const MIN_TERM_COVERAGE = 0.5;
+
+// 「您是不是要找」建議的最低相似度與數量上限
+const MIN_SUGGESTION_SIMILARITY = 0.6;
+const MAX_SUGGESTIONS = 3;
+
+// 參與排序並回傳的候選條目上限
+const MAX_RANKED_CANDIDATES = 5;
+
+// 候選條目分數達最高分的此比例時，視為難以判斷而請用戶選擇
+const AMBIGUITY_RATIO = 0.7;
+
+// 知識庫版本鍵，上傳腳本每次上傳後更新，Worker據此判斷快取是否過期
+const KB_VERSION_KEY = 'kb-version';
+
+// 知識條目瀏覽次數的鍵前綴，每個條目一個鍵（stats:views:條目ID），次數同時存於鍵的metadata供列表一次讀取
+const VIEW_STATS_PREFIX = 'stats:views:';
+
+// 尚未寫入KV的瀏覽次數（條目ID → 次數），由 flushViews 在事件處理完後寫入
+const pendingViews = new Map();
+
+// 快取設定：版本檢查間隔、每個值的存活時間與最多快取的值數量
+const VERSION_CHECK_INTERVAL = 30 * 1000;
+const CACHE_TTL = 5 * 60 * 1000;
+const MAX_CACHED_VALUES = 200;
+
+// 同一個Worker isolate內共用的知識庫快取
+// values：KV鍵 → { value, expiresAt }，以Map插入順序作為最近使用順序
+// 快取的物件會被多個請求共用，呼叫端不可修改
+const knowledgeCache = {
+  version: null,
+  versionCheckedAt: 0,
+  values: new Map()
+};
+
 /**
  * 根據用戶輸入獲取知識庫回應
  * @param {string} query 用戶查詢文字
- * @returns {Object|null} 匹配的知識庫條目或null
+ * @returns {Object|null} 匹配的知識庫條目（含 alternatives 候選列表）、條目中的小節、部門列表、待選擇的候選列表或null
  */
 async function getResponse(query) {
   logger.debug('獲取知識庫回應', { query });
@@ -27,17 +80,10 @@ async function getResponse(query) {
       return null;
     }
     
-    // 查找匹配的知識條目ID
-    const knowledgeId = findMatchingEntryId(query, keywordIndex);
-    
-    if (!knowledgeId) {
-      logger.debug('未找到匹配的知識庫條目');
-      return null;
-    }
-    
     // 處理部門查詢
-    if (knowledgeId.startsWith('Department:')) {
-      const department = knowledgeId.replace('Department:', '');
+    const departmentMarker = findDepartmentMatch(query, keywordIndex);
+    if (departmentMarker) {
+      const department = departmentMarker.replace('Department:', '');
       logger.debug(`識別為部門查詢: ${department}`);
       
       const departmentEntries = await getDepartmentEntries(department);
@@ -58,31 +104,340 @@ async function getResponse(query) {
       }
     }
     
-    // 獲取知識條目詳細資訊
-    const knowledgeEntry = await getKnowledgeById(knowledgeId);
+    // 以同義詞字典將縮寫與俗稱擴展為標準關鍵詞
+    const aliasMap = await getSynonymAliasMap();
+    const expandedQuery = synonymUtils.expandQuery(query, aliasMap);
+    if (expandedQuery !== query) {
+      logger.debug('以同義詞擴展查詢', { query, expandedQuery });
+    }
+    
+    // 對所有候選條目評分排序
+    const searchIndex = await getSearchIndex();
+    const ranked = await rankEntries(expandedQuery, keywordIndex, searchIndex);
+    
+    if (ranked.length === 0) {
+      logger.debug('未找到匹配的知識庫條目');
+      return null;
+    }
+    
+    // 多個條目分數相近時，交由用戶選擇而不是猜測
+    const ambiguous = findAmbiguousCandidates(ranked);
+    if (ambiguous.length > 1) {
+      logger.debug('多個知識條目同樣符合查詢', { ids: ambiguous.map(candidate => candidate.id) });
+      return {
+        isDisambiguation: true,
+        query: query,
+        entries: ambiguous.map(candidate => ({
+          id: candidate.id,
+          department: getEntryDepartment(candidate.id),
+          title: textUtils.extractTitle(candidate.entry.text),
+          description: textUtils.extractDescription(candidate.entry.text),
+          score: candidate.score
+        }))
+      };
+    }
+    
+    const [best, ...runnersUp] = ranked;
     
-    if (knowledgeEntry) {
-      logger.debug('找到匹配的知識庫條目', { id: knowledgeEntry.id });
-      return knowledgeEntry;
+    // 查詢除了指向條目本身，還提到條目中的某個小節時（例如某個步驟），只回答該小節
+    const section = findSectionMatch(expandedQuery, best, searchIndex);
+    if (section) {
+      logger.debug('找到匹配的知識條目小節', { id: best.id, anchor: section.anchor });
+      return {
+        isSectionAnswer: true,
+        id: best.id,
+        title: textUtils.extractTitle(best.entry.text),
+        section: section,
+        images: best.entry.images,
+        score: best.score
+      };
     }
     
-    logger.debug('未能從KV獲取知識庫條目', { id: knowledgeId });
-    return null;
+    logger.debug('找到匹配的知識庫條目', {
+      id: best.id,
+      score: best.score,
+      alternatives: runnersUp.map(candidate => candidate.id)
+    });
+    
+    return {
+      ...best.entry,
+      score: best.score,
+      alternatives: runnersUp.map(candidate => ({
+        id: candidate.id,
+        title: textUtils.extractTitle(candidate.entry.text),
+        score: candidate.score
+      }))
+    };
   } catch (error) {
     logger.error('獲取知識庫回應時出錯', { error });
     return null;
   }
 }
 
+/**
+ * 對查詢的候選知識條目評分並排序
+ * 先以關鍵詞索引與全文檢索索引計分，再讀取前幾名條目加上標題命中分數
+ * @param {string} query 用戶查詢文字
+ * @param {Object} keywordIndex 關鍵詞索引（由 getKeywordIndex 取得，鍵已正規化）
+ * @param {Object|null} [searchIndex] 全文檢索索引，未提供時只使用關鍵詞匹配
+ * @returns {Promise<Array<Object>>} 依分數由高到低排序的候選條目 { id, score, matchedKeywords, entry }
+ */
+async function rankEntries(query, keywordIndex, searchIndex) {
+  const normalizedQuery = textUtils.compactText(query);
+  const keywordCandidates = scoreKeywordMatches(normalizedQuery, keywordIndex);
+  const textMatches = searchIndex ? scoreTextMatches(query, searchIndex) : [];
+  const candidates = mergeTextMatches(keywordCandidates, textMatches)
+    .slice(0, MAX_RANKED_CANDIDATES);
+  
+  // 讀取候選條目內容以計算標題命中
+  const withEntries = await Promise.all(
+    candidates.map(async candidate => {
+      const entry = await getKnowledgeById(candidate.id);
+      if (!entry) {
+        return null;
+      }
+      
+      const title = textUtils.compactText(textUtils.extractTitle(entry.text));
+      let score = candidate.score;
+      if (normalizedQuery.includes(title)) {
+        score += MATCH_WEIGHTS.titleInQuery;
+      } else if (title.includes(normalizedQuery)) {
+        score += MATCH_WEIGHTS.queryInTitle;
+      }
+      
+      return { ...candidate, score, entry };
+    })
+  );
+  
+  return sortCandidates(withEntries.filter(candidate => candidate !== null));
+}
+
+/**
+ * 將全文檢索結果併入關鍵詞匹配的候選條目
+ * 全文檢索分數依最高分正規化後加入；只由全文檢索找到的條目需達到最低詞彙覆蓋率
+ * @param {Array<Object>} keywordCandidates 關鍵詞匹配的候選條目
+ * @param {Array<Object>} textMatches 全文檢索結果 { id, score, coverage }
+ * @returns {Array<Object>} 合併並排序後的候選條目
+ */
+function mergeTextMatches(keywordCandidates, textMatches) {
+  const merged = new Map(keywordCandidates.map(candidate => [candidate.id, { ...candidate }]));
+  const topScore = textMatches.length > 0 ? textMatches[0].score : 0;
+  
+  textMatches.forEach(match => {
+    const relevance = (match.score / topScore) * MATCH_WEIGHTS.textRelevance;
+    
+    if (merged.has(match.id)) {
+      merged.get(match.id).score += relevance;
+    } else if (match.coverage >= MIN_TERM_COVERAGE) {
+      merged.set(match.id, {
+        id: match.id,
+        exact: false,
+        partial: false,
+        longestMatch: 0,
+        matchedKeywords: [],
+        score: relevance
+      });
+    }
+  });
+  
+  return sortCandidates(Array.from(merged.values()));
+}
+
+/**
+ * 找出查詢所指的條目小節
+ * 先從查詢中移除命中條目的關鍵詞與標題，剩下的詞彙才用來比對該條目的小節，
+ * 因此只輸入「CVVH」時回答整個條目，輸入「CVVH 加溫管怎麼纏」時只回答 Step 8
+ * @param {string} query 用戶查詢文字（已擴展同義詞）
+ * @param {Object} candidate 最佳候選條目 { id, matchedKeywords, entry }
+ * @param {Object|null} searchIndex 全文檢索索引，舊版索引沒有小節索引時不回答小節
+ * @returns {Object|null} 小節 { anchor, heading, level, text } 或null
+ */
+function findSectionMatch(query, candidate, searchIndex) {
+  if (!searchIndex || !searchIndex.sections) {
+    return null;
+  }
+  
+  const title = textUtils.compactText(textUtils.extractTitle(candidate.entry.text));
+  let remainder = textUtils.compactText(query);
+  for (const phrase of [...candidate.matchedKeywords, title]) {
+    remainder = remainder.split(phrase).join(' ');
+  }
+  
+  if (textUtils.tokenizeQuery(remainder).length === 0) {
+    return null;
+  }
+  
+  const { docs } = searchIndex.sections;
+  const [match] = scoreTextMatches(remainder, searchIndex.sections)
+    .filter(hit => docs[hit.id].entryId === candidate.id);
+  
+  if (!match || match.coverage < MIN_TERM_COVERAGE) {
+    return null;
+  }
+  
+  const { anchor } = docs[match.id];
+  return textUtils.splitSections(candidate.entry.text)
+    .find(section => section.anchor === anchor) || null;
+}
+
+/**
+ * 以BM25演算法對全文檢索索引中的文件計分
+ * @param {string} query 用戶查詢文字
+ * @param {Object} searchIndex 全文檢索索引（條目索引或小節索引）
+ * @returns {Array<Object>} 依分數排序的結果 { id, score, coverage }，coverage為命中的查詢詞彙比例
+ */
+function scoreTextMatches(query, searchIndex) {
+  const { docCount, avgDocLength, docs, postings } = searchIndex;
+  const terms = Array.from(new Set(textUtils.tokenizeQuery(query)));
+  const hits = new Map();
+  
+  for (const term of terms) {
+    // 索引由KV的JSON解析而來，須以 Object.hasOwn 判斷，避免 constructor 等詞彙讀到原型的屬性
+    if (!Object.hasOwn(postings, term)) {
+      continue;
+    }
+    
+    const posting = postings[term];    
+    const documentFrequency = Object.keys(posting).length;
+    const idf = Math.log(1 + (docCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    
+    for (const [id, frequency] of Object.entries(posting)) {
+      const lengthRatio = docs[id].length / avgDocLength;
+      const termScore = idf * (frequency * (BM25_K1 + 1)) /
+        (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+      
+      const hit = hits.get(id) || { id, score: 0, matchedTerms: 0 };
+      hit.score += termScore;
+      hit.matchedTerms += 1;
+      hits.set(id, hit);
+    }
+  }
+  
+  return sortCandidates(Array.from(hits.values()).map(hit => ({
+    id: hit.id,
+    score: hit.score,
+    coverage: hit.matchedTerms / terms.length
+  })));
+}
+
+/**
+ * 找出與最高分條目難以區分的候選條目
+ * 最高分條目完全命中關鍵詞時不視為模糊；若最高分條目只有部分匹配
+ * （查詢只是關鍵詞的片段），則所有同樣只有部分匹配的候選都列入
+ * @param {Array<Object>} ranked 已排序的候選條目
+ * @returns {Array<Object>} 需要用戶選擇的候選條目，少於兩個表示無需選擇
+ */
+function findAmbiguousCandidates(ranked) {
+  const [best] = ranked;
+  if (!best || best.exact) {
+    return [];
+  }
+  
+  return ranked.filter(candidate =>
+    candidate.score >= best.score * AMBIGUITY_RATIO ||
+    (best.partial && candidate.partial)
+  );
+}
+
+/**
+ * 從知識條目ID取得部門代碼
+ * 條目ID以部門代碼開頭，例如 icu-cvvh-setup
+ * @param {string} id 知識條目ID
+ * @returns {string} 部門代碼
+ */
+function getEntryDepartment(id) {
+  return id.split('-')[0];
+}
+
+/**
+ * 依關鍵詞索引為每個知識條目計分
+ * @param {string} normalizedQuery 已正規化（compactText）的查詢文字
+ * @param {Object} keywordIndex 關鍵詞索引（鍵已正規化）
+ * @returns {Array<Object>} 依分數排序的候選條目 { id, score, exact, partial, longestMatch, matchedKeywords }
+ */
+function scoreKeywordMatches(normalizedQuery, keywordIndex) {
+  const hits = new Map();
+  
+  // 關鍵詞已在讀取索引時正規化
+  for (const [normalizedKeyword, knowledgeId] of Object.entries(keywordIndex)) {
+    // 跳過部門標記關鍵詞
+    if (knowledgeId.startsWith('Department:')) {
+      continue;
+    }
+    
+    const isExact = normalizedKeyword === normalizedQuery;
+    const inQuery = normalizedQuery.includes(normalizedKeyword);
+    // 查詢只是關鍵詞的一部分，例如「透析」對應「血液透析」
+    const isPartial = !inQuery && normalizedQuery.length >= 2 && normalizedKeyword.includes(normalizedQuery);
+    
+    if (!inQuery && !isPartial) {
+      continue;
+    }
+    
+    if (!hits.has(knowledgeId)) {
+      hits.set(knowledgeId, {
+        id: knowledgeId,
+        exact: false,
+        longestMatch: 0,
+        partialMatch: 0,
+        matchedKeywords: []
+      });
+    }
+    
+    const hit = hits.get(knowledgeId);
+    hit.matchedKeywords.push(normalizedKeyword);
+    hit.exact = hit.exact || isExact;
+    if (inQuery) {
+      hit.longestMatch = Math.max(hit.longestMatch, normalizedKeyword.length);
+    } else {
+      hit.partialMatch = normalizedQuery.length;
+    }
+  }
+  
+  const candidates = Array.from(hits.values()).map(hit => ({
+    id: hit.id,
+    exact: hit.exact,
+    // 只有部分匹配：查詢只是關鍵詞的片段
+    partial: hit.longestMatch === 0,
+    longestMatch: hit.longestMatch,
+    matchedKeywords: hit.matchedKeywords,
+    score: (hit.exact ? MATCH_WEIGHTS.exact : 0) +
+      hit.longestMatch * MATCH_WEIGHTS.keywordChar +
+      hit.partialMatch * MATCH_WEIGHTS.partialChar +
+      (hit.matchedKeywords.length - 1) * MATCH_WEIGHTS.distinctKeyword
+  }));
+  
+  return sortCandidates(candidates);
+}
+
+/**
+ * 依分數由高到低排序候選條目，分數相同時依ID排序以確保結果穩定
+ * @param {Array<Object>} candidates 候選條目
+ * @returns {Array<Object>} 排序後的候選條目
+ */
+function sortCandidates(candidates) {
+  return candidates.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+}
+
 /**
  * 根據部門名稱獲取相關知識條目
+ * 優先讀取上傳腳本產生的部門清單（department:代碼），清單已依 order 排序；
+ * 清單不存在時才逐一讀取該部門的知識條目
  * @param {string} department 部門名稱
- * @returns {Array} 知識條目列表
+ * @param {string} [sort] 排序方式：order（清單順序，預設）、title、views 或 updated
+ * @returns {Array} 知識條目列表 { id, title, description, order, tags, updatedAt }
  */
-async function getDepartmentEntries(department) {
+async function getDepartmentEntries(department, sort = 'order') {
   try {
     const normalizedDepartment = department.trim().toLowerCase();
     
+    const manifest = await getDepartmentManifest(normalizedDepartment);
+    if (manifest) {
+      return await sortDepartmentEntries(manifest.entries, sort);
+    }
+    
+    logger.warn(`部門 ${normalizedDepartment} 的清單不存在，改為逐一讀取知識條目`);
+    
     // 獲取所有知識條目ID
     const allIds = await getAllKnowledgeIds();
     
@@ -101,8 +456,11 @@ async function getDepartmentEntries(department) {
           // 僅返回列表顯示所需的簡略資訊
           return {
             id: entry.id,
-            title: extractTitle(entry.text),
-            description: extractDescription(entry.text)
+            title: textUtils.extractTitle(entry.text),
+            description: textUtils.extractDescription(entry.text),
+            order: entry.order,
+            tags: entry.tags || [],
+            updatedAt: entry.updatedAt || null
           };
         }
         return null;
@@ -110,7 +468,7 @@ async function getDepartmentEntries(department) {
     );
     
     // 過濾掉無效的條目
-    return entries.filter(entry => entry !== null);
+    return await sortDepartmentEntries(entries.filter(entry => entry !== null), sort);
   } catch (error) {
     logger.error('獲取部門知識條目時出錯', { error, department });
     return [];
@@ -118,38 +476,189 @@ async function getDepartmentEntries(department) {
 }
 
 /**
- * 從知識條目文本中提取標題
- * @param {string} text 知識條目文本
- * @returns {string} 標題
+ * 排序部門條目（不修改傳入的陣列，清單可能是共用的快取物件）
+ * @param {Array<Object>} entries 部門條目
+ * @param {string} sort 排序方式：order、title、views 或 updated
+ * @returns {Promise<Array<Object>>} 排序後的部門條目
+ */
+async function sortDepartmentEntries(entries, sort) {
+  const byTitle = (a, b) => a.title.localeCompare(b.title, 'zh-Hant');
+  
+  switch (sort) {
+    case 'title':
+      return entries.slice().sort(byTitle);
+    
+    case 'views': {
+      const viewCounts = await getViewCounts();
+      return entries.slice().sort((a, b) =>
+        (viewCounts[b.id] || 0) - (viewCounts[a.id] || 0) || byTitle(a, b)
+      );
+    }
+    
+    case 'updated':
+      return entries.slice().sort((a, b) =>
+        (b.updatedAt || '').localeCompare(a.updatedAt || '') || byTitle(a, b)
+      );
+    
+    default:
+      return entries;
+  }
+}
+
+/**
+ * 記錄知識條目被查看一次，供部門列表「最多瀏覽」排序
+ * 只累計在記憶體中，由 flushViews 批次寫入
+ * @param {string} id 知識條目ID
+ */
+function recordView(id) {
+  pendingViews.set(id, (pendingViews.get(id) || 0) + 1);
+}
+
+/**
+ * 將累計的瀏覽次數寫入KV，由webhook在 ctx.waitUntil 中於事件處理完後呼叫
+ * 每個條目各自一個鍵，每次只寫入有新瀏覽的條目；不同請求同時寫入同一條目時可能少算，僅作為排序參考
+ * @returns {Promise<void>}
+ */
+async function flushViews() {
+  if (pendingViews.size === 0 || !config.kv.nursing_knowledge) {
+    return;
+  }
+  
+  const views = Array.from(pendingViews.entries());
+  pendingViews.clear();
+  
+  await Promise.all(views.map(async ([id, count]) => {
+    const key = VIEW_STATS_PREFIX + id;
+    try {
+      const total = (Number(await config.kv.nursing_knowledge.get(key)) || 0) + count;
+      await config.kv.nursing_knowledge.put(key, String(total), { metadata: { views: total } });
+    } catch (error) {
+      logger.warn('記錄知識條目瀏覽次數失敗', { id, count, error });
+    }
+  }));
+}
+
+/**
+ * 讀取所有條目的瀏覽次數
+ * @returns {Promise<Object>} 條目ID → 瀏覽次數
+ */
+async function getViewCounts() {
+  const viewCounts = {};
+  
+  try {
+    if (!config.kv.nursing_knowledge) {
+      return viewCounts;
+    }
+    
+    let cursor;
+    do {
+      const result = await config.kv.nursing_knowledge.list({ prefix: VIEW_STATS_PREFIX, cursor });
+      result.keys.forEach(key => {
+        viewCounts[key.name.slice(VIEW_STATS_PREFIX.length)] = (key.metadata && key.metadata.views) || 0;
+      });
+      cursor = result.list_complete ? null : result.cursor;
+    } while (cursor);
+  } catch (error) {
+    logger.warn('讀取知識條目瀏覽次數失敗', { error });
+  }
+  
+  return viewCounts;
+}
+
+/**
+ * 從 KV 存儲獲取部門清單
+ * @param {string} department 部門代碼
+ * @returns {Object|null} 部門清單 { department, name, entries } 或null
+ */
+async function getDepartmentManifest(department) {
+  try {
+    if (!config.kv.nursing_knowledge) {
+      logger.error('KV命名空間未設置');
+      return null;
+    }
+    
+    return await getCachedValue(`department:${department}`, JSON.parse);
+  } catch (error) {
+    logger.error('獲取部門清單時出錯', { error, department });
+    return null;
+  }
+}
+
+/**
+ * 從快取或 KV 存儲讀取並解析一個值
+ * 不存在的鍵也會快取為null，避免重複讀取
+ * @param {string} key KV鍵
+ * @param {Function} parse 將KV字串轉為快取值的函數
+ * @returns {Promise<any>} 解析後的值，不存在時為null
  */
-function extractTitle(text) {
-  const titleMatch = text.match(/^#\s+(.+)$/m);
-  return titleMatch ? titleMatch[1].trim() : '未命名知識條目';
+async function getCachedValue(key, parse) {
+  await refreshCacheVersion();
+  
+  const now = Date.now();
+  const cached = knowledgeCache.values.get(key);
+  
+  if (cached && cached.expiresAt > now) {
+    // 移到最後，讓最久未使用的值先被淘汰
+    knowledgeCache.values.delete(key);
+    knowledgeCache.values.set(key, cached);
+    return cached.value;
+  }
+  
+  const raw = await config.kv.nursing_knowledge.get(key);
+  const value = raw ? parse(raw) : null;
+  
+  knowledgeCache.values.delete(key);
+  knowledgeCache.values.set(key, { value, expiresAt: now + CACHE_TTL });
+  
+  if (knowledgeCache.values.size > MAX_CACHED_VALUES) {
+    const oldestKey = knowledgeCache.values.keys().next().value;
+    knowledgeCache.values.delete(oldestKey);
+  }
+  
+  return value;
 }
 
 /**
- * 從知識條目文本中提取描述
- * @param {string} text 知識條目文本
- * @returns {string} 描述
+ * 定期檢查知識庫版本，版本變更時清除所有快取
  */
-function extractDescription(text) {
-  // 嘗試獲取第一個非標題段落作為描述
-  const paragraphs = text.split('\n\n');
-  let description = '';
+async function refreshCacheVersion() {
+  const now = Date.now();
+  if (now - knowledgeCache.versionCheckedAt < VERSION_CHECK_INTERVAL) {
+    return;
+  }
+  
+  knowledgeCache.versionCheckedAt = now;
+  const version = await config.kv.nursing_knowledge.get(KB_VERSION_KEY);
   
-  for (const paragraph of paragraphs) {
-    if (!paragraph.startsWith('#') && paragraph.trim().length > 0) {
-      description = paragraph.trim();
-      break;
+  if (version !== knowledgeCache.version) {
+    if (knowledgeCache.values.size > 0) {
+      logger.info('知識庫版本已變更，清除快取', {
+        previousVersion: knowledgeCache.version,
+        version: version
+      });
     }
+    knowledgeCache.values.clear();
+    knowledgeCache.version = version;
   }
+}
+
+/**
+ * 解析關鍵詞索引並正規化所有關鍵詞
+ * 上傳腳本已正規化關鍵詞，這裡再處理一次以相容舊版索引，且每個版本只需處理一次
+ * @param {string} indexJson 關鍵詞索引JSON字串
+ * @returns {Object} 以正規化關鍵詞為鍵的索引
+ */
+function normalizeKeywordIndex(indexJson) {
+  const keywordIndex = {};
   
-  // 如果描述太長，截斷它
-  if (description.length > 50) {
-    description = description.substring(0, 50) + '...';
+  for (const [keyword, value] of Object.entries(JSON.parse(indexJson))) {
+    const normalizedKeyword = textUtils.compactText(keyword);
+    if (normalizedKeyword) {
+      keywordIndex[normalizedKeyword] = value;
+    }
   }
   
-  return description || '無描述';
+  return keywordIndex;
 }
 
 /**
@@ -163,14 +672,14 @@ async function getKeywordIndex() {
       return null;
     }
     
-    const indexJson = await config.kv.nursing_knowledge.get('keyword-index');
+    const keywordIndex = await getCachedValue('keyword-index', normalizeKeywordIndex);
     
-    if (!indexJson) {
+    if (!keywordIndex) {
       logger.debug('關鍵詞索引不存在');
       return null;
     }
     
-    return JSON.parse(indexJson);
+    return keywordIndex;
   } catch (error) {
     logger.error('獲取關鍵詞索引時出錯', { error });
     return null;
@@ -178,38 +687,74 @@ async function getKeywordIndex() {
 }
 
 /**
- * 查找與查詢匹配的知識庫條目ID
- * @param {string} query 用戶查詢文字
- * @param {Object} keywordIndex 關鍵詞索引
- * @returns {string|null} 匹配的知識庫條目ID或null
+ * 從 KV 存儲獲取全文檢索索引
+ * 索引由上傳腳本建立，不存在時查詢只使用關鍵詞匹配
+ * @returns {Object|null} 全文檢索索引或null
  */
-function findMatchingEntryId(query, keywordIndex) {
-  // 將查詢轉為小寫以進行不區分大小寫的匹配
-  const lowerQuery = query.toLowerCase().trim();
-  
-  // 先檢查是否精確匹配部門查詢
-  // 例如用戶直接輸入 "ICU" 或 "ED"
-  const departmentMatch = Object.entries(keywordIndex).find(([key, value]) => 
-    key.toLowerCase() === lowerQuery && value.startsWith('Department:')
-  );
-  
-  if (departmentMatch) {
-    return departmentMatch[1];  // 返回部門標記
+async function getSearchIndex() {
+  try {
+    if (!config.kv.nursing_knowledge) {
+      logger.error('KV命名空間未設置');
+      return null;
+    }
+    
+    const searchIndex = await getCachedValue('search-index', JSON.parse);
+    
+    if (!searchIndex) {
+      logger.debug('全文檢索索引不存在');
+      return null;
+    }
+    
+    return searchIndex;
+  } catch (error) {
+    logger.error('獲取全文檢索索引時出錯', { error });
+    return null;
   }
-  
-  // 檢查每個關鍵詞是否包含在查詢中
-  for (const [keyword, knowledgeId] of Object.entries(keywordIndex)) {
-    // 跳過部門標記關鍵詞
-    if (knowledgeId.startsWith('Department:')) {
-      continue;
+}
+
+/**
+ * 從 KV 存儲獲取同義詞字典並建立別名對應表
+ * @returns {Object} 別名到標準關鍵詞的對應表，字典不存在時為空物件
+ */
+async function getSynonymAliasMap() {
+  try {
+    if (!config.kv.nursing_knowledge) {
+      logger.error('KV命名空間未設置');
+      return {};
     }
     
-    if (lowerQuery.includes(keyword.toLowerCase())) {
-      return knowledgeId;
+    const aliasMap = await getCachedValue('synonyms', synonymsJson =>
+      synonymUtils.buildAliasMap(JSON.parse(synonymsJson))
+    );
+    
+    if (!aliasMap) {
+      logger.debug('同義詞字典不存在');
+      return {};
     }
+    
+    return aliasMap;
+  } catch (error) {
+    logger.error('獲取同義詞字典時出錯', { error });
+    return {};
   }
+}
+
+/**
+ * 查找與查詢完全相同的部門標記
+ * 例如用戶直接輸入 "ICU" 或 "ED"
+ * @param {string} query 用戶查詢文字
+ * @param {Object} keywordIndex 關鍵詞索引
+ * @returns {string|null} 部門標記（Department:代碼）或null
+ */
+function findDepartmentMatch(query, keywordIndex) {
+  // 正規化查詢以忽略大小寫、全形半形與空白，例如「ＩＣＵ」
+  const normalizedQuery = textUtils.compactText(query);
+  
+  const departmentMatch = Object.entries(keywordIndex).find(([key, value]) => 
+    key === normalizedQuery && value.startsWith('Department:')
+  );
   
-  return null;
+  return departmentMatch ? departmentMatch[1] : null;
 }
 
 /**
@@ -224,14 +769,14 @@ async function getKnowledgeById(id) {
       return null;
     }
     
-    const knowledgeJson = await config.kv.nursing_knowledge.get(`knowledge:${id}`);
+    const entry = await getCachedValue(`knowledge:${id}`, JSON.parse);
     
-    if (!knowledgeJson) {
+    if (!entry) {
       logger.debug(`知識庫條目不存在: ${id}`);
       return null;
     }
     
-    return JSON.parse(knowledgeJson);
+    return entry;
   } catch (error) {
     logger.error('獲取知識庫條目時出錯', { error, id });
     return null;
@@ -249,9 +794,16 @@ async function getAllKnowledgeIds() {
       return [];
     }
     
-    const keys = await config.kv.nursing_knowledge.list({ prefix: 'knowledge:' });
+    // KV每次list最多回傳1000個鍵，需依cursor繼續讀取
+    const ids = [];
+    let cursor;
+    do {
+      const result = await config.kv.nursing_knowledge.list({ prefix: 'knowledge:', cursor });
+      result.keys.forEach(key => ids.push(key.name.replace('knowledge:', '')));
+      cursor = result.list_complete ? undefined : result.cursor;
+    } while (cursor);
     
-    return keys.keys.map(key => key.name.replace('knowledge:', ''));
+    return ids;
   } catch (error) {
     logger.error('獲取所有知識庫條目ID時出錯', { error });
     return [];
@@ -268,7 +820,12 @@ async function checkSystemStatus() {
     keywordIndexExists: false,
     indexContents: null,
     knowledgeEntriesCount: 0,
-    departmentEntries: {}
+    departmentEntries: {},
+    missingDepartmentManifests: [],
+    cache: {
+      version: knowledgeCache.version,
+      cachedValues: knowledgeCache.values.size
+    }
   };
   
   try {
@@ -299,15 +856,17 @@ async function checkSystemStatus() {
     }
     status.indexContents = indexSample;
     
-    // 獲取所有知識條目
-    const allIds = await getAllKnowledgeIds();
-    status.knowledgeEntriesCount = allIds.length;
-    
-    // 獲取部門分佈
+    // 從部門清單獲取部門分佈與條目總數
     const departments = ['icu', 'er', 'ward', 'or', 'opd', 'nurse'];
     for (const dept of departments) {
-      const entries = await getDepartmentEntries(dept);
-      status.departmentEntries[dept] = entries.length;
+      const manifest = await getDepartmentManifest(dept);
+      if (!manifest) {
+        status.missingDepartmentManifests.push(dept);
+        status.departmentEntries[dept] = 0;
+        continue;
+      }
+      status.departmentEntries[dept] = manifest.entries.length;
+      status.knowledgeEntriesCount += manifest.entries.length;
     }
     
     return status;
@@ -317,10 +876,57 @@ async function checkSystemStatus() {
   }
 }
 
+/**
+ * 找出與查詢相似的關鍵詞與條目標題，作為找不到條目時的「您是不是要找」建議
+ * 有全文檢索索引時使用索引中的原始關鍵詞與標題，否則使用關鍵詞索引
+ * @param {string} query 用戶查詢文字
+ * @returns {Promise<Array<string>>} 依相似度排序的建議詞
+ */
+async function getSuggestions(query) {
+  try {
+    if (!query || typeof query !== 'string') {
+      return [];
+    }
+    
+    const searchIndex = await getSearchIndex();
+    let candidates;
+    
+    if (searchIndex) {
+      candidates = Object.values(searchIndex.docs)
+        .flatMap(doc => [doc.title, ...doc.keywords]);
+    } else {
+      const keywordIndex = await getKeywordIndex();
+      candidates = Object.entries(keywordIndex || {})
+        .filter(([, value]) => !value.startsWith('Department:'))
+        .map(([keyword]) => keyword);
+    }
+    
+    const scored = new Map();
+    candidates.forEach(candidate => {
+      const score = textUtils.similarity(query, candidate);
+      if (score >= MIN_SUGGESTION_SIMILARITY && score > (scored.get(candidate) || 0)) {
+        scored.set(candidate, score);
+      }
+    });
+    
+    const suggestions = Array.from(scored.entries())
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(([candidate]) => candidate);
+    
+    logger.debug('產生查詢建議', { query, suggestions });
+    return suggestions;
+  } catch (error) {
+    logger.error('產生查詢建議時出錯', { error, query });
+    return [];
+  }
+}
+
 /**
  * 搜索知識條目
+ * 使用全文檢索索引計分，不需逐一讀取所有知識條目
  * @param {string} query 搜索關鍵詞
- * @returns {Promise<Array>} 匹配的知識條目簡介列表
+ * @returns {Promise<Array>} 依相關度排序的知識條目簡介列表
  */
 async function searchKnowledge(query) {
   try {
@@ -328,41 +934,164 @@ async function searchKnowledge(query) {
       return [];
     }
     
-    const lowerQuery = query.toLowerCase();
-    const allIds = await getAllKnowledgeIds();
-    const matchingEntries = [];
-    
-    // 獲取所有知識條目並過濾匹配的內容
-    for (const id of allIds) {
-      const entry = await getKnowledgeById(id);
-      if (entry) {
-        // 檢查標題和內容是否包含搜索詞
-        const title = extractTitle(entry.text);
-        if (title.toLowerCase().includes(lowerQuery) || 
-            entry.text.toLowerCase().includes(lowerQuery) ||
-            entry.keywords.some(keyword => keyword.toLowerCase().includes(lowerQuery))) {
-          
-          matchingEntries.push({
-            id: entry.id,
-            title: title,
-            description: extractDescription(entry.text)
-          });
-        }
-      }
+    const searchIndex = await getSearchIndex();
+    if (!searchIndex) {
+      logger.warn('全文檢索索引不存在，無法搜索知識條目', { query });
+      return [];
     }
     
-    return matchingEntries;
+    return scoreTextMatches(query, searchIndex)
+      .filter(match => match.coverage >= MIN_TERM_COVERAGE)
+      .map(match => ({
+        id: match.id,
+        title: searchIndex.docs[match.id].title,
+        description: searchIndex.docs[match.id].description,
+        score: match.score
+      }));
   } catch (error) {
     logger.error('搜索知識條目時出錯', { error, query });
     return [];
   }
 }
 
+/**
+ * 判斷查詢是否為部門代碼或名稱
+ * @param {string} query 用戶查詢文字
+ * @returns {Promise<string|null>} 部門代碼或null
+ */
+async function findDepartment(query) {
+  try {
+    const keywordIndex = await getKeywordIndex();
+    const departmentMarker = keywordIndex ? findDepartmentMatch(query, keywordIndex) : null;
+    return departmentMarker ? departmentMarker.replace('Department:', '') : null;
+  } catch (error) {
+    logger.error('判斷部門查詢時出錯', { error, query });
+    return null;
+  }
+}
+
+/**
+ * 判斷查詢是否包含任何關鍵詞（含同義詞），用於區分新的查詢與沒有主題的追問
+ * 只計算查詢包含關鍵詞的情況，查詢只是關鍵詞片段（例如「影片」之於「教學影片」）不算
+ * @param {string} query 用戶查詢文字
+ * @returns {Promise<boolean>} 是否包含關鍵詞
+ */
+async function hasKeywordMatch(query) {
+  try {
+    const keywordIndex = await getKeywordIndex();
+    if (!keywordIndex) {
+      return false;
+    }
+    
+    const aliasMap = await getSynonymAliasMap();
+    const normalizedQuery = textUtils.compactText(synonymUtils.expandQuery(query, aliasMap));
+    return scoreKeywordMatches(normalizedQuery, keywordIndex).some(candidate => !candidate.partial);
+  } catch (error) {
+    logger.error('判斷查詢關鍵詞時出錯', { error, query });
+    return false;
+  }
+}
+
+/**
+ * 在指定條目中尋找查詢所指的小節，用於追問（例如「注意事項是什麼」）
+ * @param {string} query 用戶查詢文字
+ * @param {Object} entry 知識條目
+ * @returns {Promise<Object|null>} 小節 { anchor, heading, level, text } 或null
+ */
+async function findEntrySection(query, entry) {
+  try {
+    const searchIndex = await getSearchIndex();
+    return findSectionMatch(query, { id: entry.id, matchedKeywords: [], entry }, searchIndex);
+  } catch (error) {
+    logger.error('尋找條目小節時出錯', { error, query, id: entry.id });
+    return null;
+  }
+}
+
+/**
+ * 在其他部門尋找與指定條目主題相同的條目，用於追問（例如查完ICU的CVVH後問「ER的呢」）
+ * 依序以條目的關鍵詞做全文檢索，第一個在該部門有條目命中全部詞彙的關鍵詞即為結果；
+ * 關鍵詞中的部門代碼（例如「ICU透析」的 icu）不代表主題，比對前移除
+ * @param {Object} entry 知識條目
+ * @param {string} department 部門代碼
+ * @returns {Promise<Object|null>} 該部門的知識條目或null
+ */
+async function findRelatedEntry(entry, department) {
+  try {
+    const searchIndex = await getSearchIndex();
+    const keywordIndex = await getKeywordIndex();
+    if (!searchIndex || !keywordIndex) {
+      return null;
+    }
+    
+    const departmentTerms = new Set(
+      Object.keys(keywordIndex).filter(key => keywordIndex[key].startsWith('Department:'))
+    );
+    
+    for (const keyword of entry.keywords || []) {
+      const topicTerms = textUtils.tokenizeQuery(keyword).filter(term => !departmentTerms.has(term));
+      if (topicTerms.length === 0) {
+        continue;
+      }
+      
+      const [match] = scoreTextMatches(topicTerms.join(' '), searchIndex).filter(hit =>
+        getEntryDepartment(hit.id) === department && hit.coverage === 1
+      );
+      
+      if (match) {
+        return await getKnowledgeById(match.id);
+      }
+    }
+    
+    return null;
+  } catch (error) {
+    logger.error('尋找其他部門的相關條目時出錯', { error, id: entry.id, department });
+    return null;
+  }
+}
+
+/**
+ * 取得與指定條目相關的其他條目的關鍵詞，作為回答後的快速回覆建議
+ * 以條目的關鍵詞做全文檢索，每個相關條目取其第一個關鍵詞（沒有關鍵詞時取標題）
+ * @param {string} id 知識條目ID
+ * @param {number} limit 最多返回的關鍵詞數
+ * @returns {Promise<Array<string>>} 相關關鍵詞，依相關程度排序
+ */
+async function getRelatedKeywords(id, limit) {
+  try {
+    const searchIndex = await getSearchIndex();
+    const doc = searchIndex && searchIndex.docs[id];
+    if (!doc || !doc.keywords || doc.keywords.length === 0) {
+      return [];
+    }
+    
+    return scoreTextMatches(doc.keywords.join(' '), searchIndex)
+      .filter(hit => hit.id !== id)
+      .slice(0, limit)
+      .map(hit => {
+        const related = searchIndex.docs[hit.id];
+        return (related.keywords && related.keywords[0]) || related.title;
+      });
+  } catch (error) {
+    logger.error('取得相關關鍵詞時出錯', { error, id });
+    return [];
+  }
+}
+
 export default {
   getResponse,
   getKnowledgeById,
   getAllKnowledgeIds,
   getDepartmentEntries,
+  recordView,
+  flushViews,
   checkSystemStatus,
-  searchKnowledge
+  searchKnowledge,
+  getSuggestions,
+  findDepartment,
+  hasKeywordMatch,
+  findEntrySection,
+  findRelatedEntry,
+  getRelatedKeywords,
+  getEntryDepartment
 }; 
\ No newline at end of file
@@ -3,7 +3,11 @@
  * 用於生成機器人的回應訊息
  */
 
-import logger from '../utils/logger';
+import lineMessage from '../line/message.js';
+import logger from '../utils/logger.js';
+
+// 快速回覆中提供的部門代碼，點擊後列出該部門的知識條目
+const DEPARTMENT_CHIPS = ['ICU', 'ER', 'Ward', 'OR', 'OPD', 'Nurse'];
 
 // 預設回應集
 const defaultResponses = [
@@ -50,6 +54,41 @@ async function generateGeneralResponse(query) {
   return generateDefaultResponse();
 }
 
+/**
+ * 生成找不到知識條目時的後備回應訊息
+ * 有相似的關鍵詞或標題時，以快速回覆按鈕提供「您是不是要找」的建議；
+ * 其他情況附上部門代碼與「幫助」的快速回覆，讓用戶點選而不必輸入
+ * @param {string} query 用戶查詢文字
+ * @param {Array<string>} [suggestions] 相似的關鍵詞或標題
+ * @returns {Object} LINE訊息物件
+ */
+async function generateFallbackMessage(query, suggestions = []) {
+  const quickReply = lineMessage.createQuickReplyBuilder();
+  
+  // 問候、感謝等特殊關鍵詞優先回應
+  const specialResponse = handleSpecialKeywords(query);
+  if (specialResponse) {
+    DEPARTMENT_CHIPS.forEach(code => quickReply.addText(code));
+    return quickReply.applyTo(lineMessage.createTextMessage(specialResponse));
+  }
+  
+  if (suggestions.length > 0) {
+    logger.debug('提供查詢建議', { query, suggestions });
+    
+    suggestions.forEach(suggestion => quickReply.addText(suggestion));
+    quickReply.addText('幫助');
+    
+    return quickReply.applyTo(
+      lineMessage.createTextMessage(`找不到「${query}」的相關知識。您是不是要找：${suggestions.join(' / ')}`)
+    );
+  }
+  
+  quickReply.addText('幫助');
+  DEPARTMENT_CHIPS.forEach(code => quickReply.addText(code));
+  
+  return quickReply.applyTo(lineMessage.createTextMessage(await generateGeneralResponse(query)));
+}
+
 /**
  * 處理特殊關鍵詞
  * @param {string} query 用戶查詢文字
@@ -108,5 +147,6 @@ function addEmotionalExpression(response) {
 
 export default {
   generateGeneralResponse,
+  generateFallbackMessage,
   addEmotionalExpression
 }; 
\ No newline at end of file
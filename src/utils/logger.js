@@ -3,7 +3,7 @@
  * 提供應用程式的日誌記錄功能，方便追蹤和調試
  */
 
-import config from './config';
+import config from './config.js';
 
 // 日誌級別
 const LOG_LEVELS = {
@@ -0,0 +1,217 @@
+/**
+ * Markdown解析模組
+ * 將知識條目使用的markdown子集（標題、項目清單、編號步驟、粗體、斜體、行內程式碼）
+ * 解析為區塊，供Flex訊息渲染與純文字轉換使用，並提供依LINE文字長度限制切分純文字的功能
+ */
+
+// 標題：# 到 ######
+const HEADING_PATTERN = /^(#{1,6})\s+(.+)$/;
+
+// 項目清單：- * + 開頭，縮排每2個空白為一層
+const BULLET_PATTERN = /^(\s*)[-*+]\s+(.+)$/;
+
+// 編號步驟：1. 或 1) 開頭
+const NUMBERED_PATTERN = /^(\s*)(\d+)[.)]\s+(.+)$/;
+
+// 行內強調：**粗體**、__粗體__、*斜體*、`程式碼`
+const INLINE_PATTERN = /(\*\*|__)(.+?)\1|\*([^*\s][^*]*?)\*|`([^`]+)`/g;
+
+/**
+ * 將markdown解析為區塊
+ * @param {string} text markdown文字
+ * @returns {Array<Object>} 區塊陣列，type 為 heading（含level）、bullet、numbered（含number）或 paragraph，
+ *   清單區塊含 depth（縮排層數，從0開始）
+ */
+function parseMarkdown(text) {
+  const blocks = [];
+  let previous = null;
+  
+  for (const line of String(text || '').split('\n')) {
+    if (line.trim() === '') {
+      previous = null;
+      continue;
+    }
+    
+    const headingMatch = line.match(HEADING_PATTERN);
+    const bulletMatch = line.match(BULLET_PATTERN);
+    const numberedMatch = line.match(NUMBERED_PATTERN);
+    let block;
+    
+    if (headingMatch) {
+      block = { type: 'heading', level: headingMatch[1].length, text: headingMatch[2].trim() };
+    } else if (bulletMatch) {
+      block = { type: 'bullet', depth: getDepth(bulletMatch[1]), text: bulletMatch[2].trim() };
+    } else if (numberedMatch) {
+      block = {
+        type: 'numbered',
+        depth: getDepth(numberedMatch[1]),
+        number: Number(numberedMatch[2]),
+        text: numberedMatch[3].trim()
+      };
+    } else if (previous && previous.type !== 'heading') {
+      // 沒有標記的行接續上一個段落或清單項目
+      previous.text += '\n' + line.trim();
+      continue;
+    } else {
+      block = { type: 'paragraph', text: line.trim() };
+    }
+    
+    blocks.push(block);
+    previous = block.type === 'heading' ? null : block;
+  }
+  
+  return blocks;
+}
+
+/**
+ * 計算清單縮排層數
+ * @param {string} indent 行首空白
+ * @returns {number} 縮排層數
+ */
+function getDepth(indent) {
+  return Math.floor(indent.replace(/\t/g, '  ').length / 2);
+}
+
+/**
+ * 將行內文字解析為帶有樣式的片段
+ * @param {string} text 行內文字
+ * @returns {Array<Object>} 片段陣列 { text, bold, italic, code }
+ */
+function parseInline(text) {
+  const spans = [];
+  let lastIndex = 0;
+  
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > lastIndex) {
+      spans.push({ text: text.substring(lastIndex, match.index) });
+    }
+    
+    if (match[2] !== undefined) {
+      spans.push({ text: match[2], bold: true });
+    } else if (match[3] !== undefined) {
+      spans.push({ text: match[3], italic: true });
+    } else {
+      spans.push({ text: match[4], code: true });
+    }
+    
+    lastIndex = match.index + match[0].length;
+  }
+  
+  if (lastIndex < text.length) {
+    spans.push({ text: text.substring(lastIndex) });
+  }
+  
+  return spans;
+}
+
+/**
+ * 移除行內強調標記
+ * @param {string} text 行內文字
+ * @returns {string} 純文字
+ */
+function stripInline(text) {
+  return parseInline(text).map(span => span.text).join('');
+}
+
+/**
+ * 將區塊轉換為易讀的純文字
+ * 小節標題以【】標示，清單項目以 • 或編號開頭並依層數縮排
+ * @param {Array<Object>} blocks 區塊陣列
+ * @returns {string} 純文字
+ */
+function toPlainText(blocks) {
+  const lines = [];
+  
+  blocks.forEach(block => {
+    const indent = '　'.repeat(block.depth || 0);
+    const text = stripInline(block.text);
+    
+    switch (block.type) {
+      case 'heading':
+        if (lines.length > 0) {
+          lines.push('');
+        }
+        lines.push(block.level === 1 ? text : `【${text}】`);
+        break;
+      
+      case 'bullet':
+        lines.push(`${indent}• ${text}`);
+        break;
+      
+      case 'numbered':
+        lines.push(`${indent}${block.number}. ${text}`);
+        break;
+      
+      default:
+        lines.push(text);
+    }
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * 將markdown轉換為易讀的純文字
+ * @param {string} text markdown文字
+ * @returns {string} 純文字
+ */
+function formatPlainText(text) {
+  return toPlainText(parseMarkdown(text));
+}
+
+/**
+ * 將純文字切分為不超過長度限制的片段
+ * 優先在小節之間（空行）切分，小節仍太長時依行切分，單行仍太長時才依字數切分
+ * @param {string} text 純文字
+ * @param {number} maxLength 每個片段的最大長度
+ * @param {Array<string>} [separators] 依序嘗試的分隔字串
+ * @returns {Array<string>} 文字片段
+ */
+function splitPlainText(text, maxLength, separators = ['\n\n', '\n']) {
+  if (text.length <= maxLength) {
+    return [text];
+  }
+  
+  const [separator, ...rest] = separators;
+  if (separator === undefined) {
+    const pieces = [];
+    for (let i = 0; i < text.length; i += maxLength) {
+      pieces.push(text.substring(i, i + maxLength));
+    }
+    return pieces;
+  }
+  
+  const chunks = [];
+  let current = '';
+  
+  for (const part of text.split(separator)) {
+    const pieces = part.length > maxLength ? splitPlainText(part, maxLength, rest) : [part];
+    
+    for (const piece of pieces) {
+      const candidate = current ? current + separator + piece : piece;
+      if (candidate.length <= maxLength) {
+        current = candidate;
+      } else {
+        if (current) {
+          chunks.push(current);
+        }
+        current = piece;
+      }
+    }
+  }
+  
+  if (current) {
+    chunks.push(current);
+  }
+  
+  return chunks;
+}
+
+export default {
+  parseMarkdown,
+  parseInline,
+  stripInline,
+  toPlainText,
+  formatPlainText,
+  splitPlainText
+};
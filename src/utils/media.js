@@ -0,0 +1,198 @@
+/**
+ * 媒體規則模組
+ * 判斷知識條目的圖片與影片網址能以哪種方式傳送給LINE：
+ * LINE的圖片、影片訊息與Flex圖片只接受HTTPS的直接檔案（圖片為JPEG/PNG、影片為MP4），
+ * YouTube等外部影片網址只能以網址按鈕或Flex卡片開啟
+ * 此模組同時由 Worker（選擇回覆方式）與上傳腳本（上傳前驗證媒體欄位）使用
+ */
+
+import textUtils from './text.js';
+
+// 可直接傳送的檔案副檔名
+const DIRECT_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const DIRECT_VIDEO_EXTENSIONS = ['.mp4'];
+
+// LINE限制媒體網址最多2000字元
+const MAX_MEDIA_URL_LENGTH = 2000;
+
+// YouTube影片ID：watch?v=、youtu.be/、embed/、shorts/ 等格式
+const YOUTUBE_ID_PATTERN = /(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/|v\/)|youtu\.be\/)([A-Za-z0-9_-]{11})/;
+
+/**
+ * 解析網址
+ * @param {string} url 網址
+ * @returns {URL|null} URL物件，格式無效時為null
+ */
+function parseUrl(url) {
+  if (typeof url !== 'string' || url.length === 0 || url.length > MAX_MEDIA_URL_LENGTH) {
+    return null;
+  }
+  
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 判斷是否為指定副檔名的HTTPS直接檔案網址
+ * @param {string} url 網址
+ * @param {Array<string>} extensions 允許的副檔名
+ * @returns {boolean} 是否為直接檔案網址
+ */
+function isDirectFileUrl(url, extensions) {
+  const parsed = parseUrl(url);
+  if (!parsed || parsed.protocol !== 'https:') {
+    return false;
+  }
+  
+  const pathname = parsed.pathname.toLowerCase();
+  return extensions.some(extension => pathname.endsWith(extension));
+}
+
+/**
+ * 判斷是否可作為LINE圖片訊息、影片預覽圖或Flex圖片（HTTPS的JPEG/PNG）
+ * @param {string} url 網址
+ * @returns {boolean} 是否為可直接傳送的圖片
+ */
+function isDirectImageUrl(url) {
+  return isDirectFileUrl(url, DIRECT_IMAGE_EXTENSIONS);
+}
+
+/**
+ * 判斷是否可作為LINE影片訊息（HTTPS的MP4）
+ * @param {string} url 網址
+ * @returns {boolean} 是否為可直接傳送的影片
+ */
+function isDirectVideoUrl(url) {
+  return isDirectFileUrl(url, DIRECT_VIDEO_EXTENSIONS);
+}
+
+/**
+ * 判斷是否可作為網址按鈕開啟（HTTP或HTTPS）
+ * @param {string} url 網址
+ * @returns {boolean} 是否為可開啟的網址
+ */
+function isLinkUrl(url) {
+  const parsed = parseUrl(url);
+  return Boolean(parsed) && (parsed.protocol === 'https:' || parsed.protocol === 'http:');
+}
+
+/**
+ * 從YouTube網址取出影片ID
+ * @param {string} url 網址
+ * @returns {string|null} 影片ID，不是YouTube網址時為null
+ */
+function getYoutubeId(url) {
+  const match = String(url || '').match(YOUTUBE_ID_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * 決定知識條目影片的傳送方式
+ * - video：HTTPS的MP4且有有效的預覽圖，以LINE影片訊息傳送
+ * - link：其他可開啟的網址（例如YouTube），以網址按鈕或Flex卡片開啟；
+ *   previewUrl 為有效的 videoPreviewUrl，YouTube影片沒有時使用YouTube的縮圖
+ * @param {Object} entry 知識條目 { videoUrl, videoPreviewUrl }
+ * @returns {Object|null} { type, url, previewUrl }，沒有影片或網址無效時為null
+ */
+function resolveVideo(entry) {
+  const { videoUrl, videoPreviewUrl } = entry || {};
+  if (!videoUrl || !isLinkUrl(videoUrl)) {
+    return null;
+  }
+  
+  const previewUrl = isDirectImageUrl(videoPreviewUrl) ? videoPreviewUrl : null;
+  
+  if (isDirectVideoUrl(videoUrl) && previewUrl) {
+    return { type: 'video', url: videoUrl, previewUrl };
+  }
+  
+  const youtubeId = getYoutubeId(videoUrl);
+  return {
+    type: 'link',
+    url: videoUrl,
+    previewUrl: previewUrl || (youtubeId ? `https://img.youtube.com/vi/${youtubeId}/hqdefault.jpg` : null)
+  };
+}
+
+/**
+ * 取得知識條目中對應指定小節的圖片
+ * @param {Object} entry 知識條目（images 為 { url, anchor, caption } 陣列）
+ * @param {string} [anchor] 小節錨點（例如 step-3）；未提供時返回條目的所有圖片
+ * @returns {Array<Object>} 可直接傳送的圖片 { url, anchor, caption }，依條目中的順序
+ */
+function getEntryImages(entry, anchor) {
+  const images = Array.isArray(entry && entry.images) ? entry.images : [];
+  
+  return images.filter(image => image && isDirectImageUrl(image.url) &&
+    (anchor === undefined || image.anchor === anchor));
+}
+
+/**
+ * 驗證知識條目的媒體欄位，供上傳腳本在寫入KV前拒絕無效的條目
+ * 空字串視為未設定
+ * @param {Object} entry 知識條目
+ * @returns {Array<string>} 錯誤訊息，沒有錯誤時為空陣列
+ */
+function validateEntryMedia(entry) {
+  const errors = [];
+  const { imageUrl, videoUrl, videoPreviewUrl } = entry;
+  
+  if (imageUrl && !isDirectImageUrl(imageUrl)) {
+    errors.push(`imageUrl 必須是HTTPS的JPEG或PNG檔案網址：${imageUrl}`);
+  }
+  
+  if (videoPreviewUrl && !isDirectImageUrl(videoPreviewUrl)) {
+    errors.push(`videoPreviewUrl 必須是HTTPS的JPEG或PNG檔案網址：${videoPreviewUrl}`);
+  }
+  
+  if (entry.images !== undefined) {
+    errors.push(...validateImages(entry));
+  }
+  
+  if (videoUrl) {
+    if (!isLinkUrl(videoUrl)) {
+      errors.push(`videoUrl 必須是HTTP或HTTPS網址：${videoUrl}`);
+    } else if (isDirectVideoUrl(videoUrl) && !videoPreviewUrl) {
+      errors.push('videoUrl 為MP4檔案時必須提供 videoPreviewUrl（LINE影片訊息需要預覽圖）');
+    } else if (/\.mp4$/i.test(parseUrl(videoUrl).pathname) && !isDirectVideoUrl(videoUrl)) {
+      errors.push(`MP4影片必須使用HTTPS網址：${videoUrl}`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * 驗證知識條目的 images 欄位：每張圖片需為HTTPS的JPEG或PNG，anchor 需對應條目中存在的小節
+ * @param {Object} entry 知識條目
+ * @returns {Array<string>} 錯誤訊息
+ */
+function validateImages(entry) {
+  if (!Array.isArray(entry.images)) {
+    return ['images 必須是陣列'];
+  }
+  
+  const anchors = new Set(textUtils.splitSections(entry.text || '').map(section => section.anchor));
+  const errors = [];
+  
+  entry.images.forEach((image, index) => {
+    if (!image || !isDirectImageUrl(image.url)) {
+      errors.push(`images[${index}].url 必須是HTTPS的JPEG或PNG檔案網址：${image && image.url}`);
+    }
+    if (image && image.anchor !== undefined && !anchors.has(image.anchor)) {
+      errors.push(`images[${index}].anchor 找不到對應的小節：${image.anchor}（可用的錨點：${Array.from(anchors).join(', ')}）`);
+    }
+  });
+  
+  return errors;
+}
+
+export default {
+  isDirectImageUrl,
+  resolveVideo,
+  getEntryImages,
+  validateEntryMedia
+};
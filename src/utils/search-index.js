@@ -0,0 +1,143 @@
+/**
+ * 搜索索引建立模組
+ * 將知識條目的標題、關鍵詞與正文斷詞後建立倒排索引，供知識庫服務以BM25演算法查詢
+ * 另外依小節標題切分條目，建立小節層級的索引
+ * 由上傳腳本在上傳前建立索引，結果以 search-index 鍵存放於KV
+ */
+
+import textUtils from './text.js';
+
+// 索引格式版本，格式變更時遞增
+const INDEX_FORMAT_VERSION = 2;
+
+// 各欄位詞頻的權重：標題與關鍵詞比正文更能代表條目主題
+const FIELD_WEIGHTS = {
+  title: 3,
+  keywords: 2,
+  text: 1
+};
+
+// 小節詞頻的權重：小節標題比小節內容更能代表小節主題
+const SECTION_FIELD_WEIGHTS = {
+  heading: 2,
+  text: 1
+};
+
+/**
+ * 建立知識條目的倒排索引
+ * @param {Array<Object>} entries 知識條目陣列（需包含 id、keywords、text）
+ * @returns {Object} 倒排索引 { version, docCount, avgDocLength, docs, postings, sections }，
+ *   sections 為小節層級的索引，格式與條目索引相同，文件ID為「條目ID#小節錨點」
+ */
+function buildSearchIndex(entries) {
+  const docs = {};
+  // 詞彙來自條目內容，使用沒有原型的物件，避免 constructor 等詞彙讀到 Object.prototype 的屬性
+  const postings = Object.create(null);
+  let totalLength = 0;
+  
+  entries.forEach(entry => {
+    const title = textUtils.extractTitle(entry.text);
+    const termFrequencies = Object.create(null);
+    let length = 0;
+    
+    // 依欄位權重累計詞頻
+    const fields = {
+      title: textUtils.tokenize(title),
+      keywords: entry.keywords.flatMap(keyword => textUtils.tokenize(keyword)),
+      text: textUtils.tokenize(entry.text)
+    };
+    
+    for (const [field, tokens] of Object.entries(fields)) {
+      tokens.forEach(token => {
+        termFrequencies[token] = (termFrequencies[token] || 0) + FIELD_WEIGHTS[field];
+        length += FIELD_WEIGHTS[field];
+      });
+    }
+    
+    for (const [term, frequency] of Object.entries(termFrequencies)) {
+      if (!Object.hasOwn(postings, term)) {
+        postings[term] = {};
+      }
+      postings[term][entry.id] = frequency;
+    }
+    
+    docs[entry.id] = {
+      title: title,
+      description: textUtils.extractDescription(entry.text),
+      keywords: entry.keywords,
+      length: length
+    };
+    totalLength += length;
+  });
+  
+  const docCount = entries.length;
+  
+  return {
+    version: INDEX_FORMAT_VERSION,
+    docCount: docCount,
+    avgDocLength: docCount > 0 ? totalLength / docCount : 0,
+    docs: docs,
+    postings: postings,
+    sections: buildSectionIndex(entries)
+  };
+}
+
+/**
+ * 建立小節層級的倒排索引，讓長篇SOP可以直接回答其中一個步驟
+ * @param {Array<Object>} entries 知識條目陣列
+ * @returns {Object} 小節索引 { docCount, avgDocLength, docs, postings }，
+ *   docs 的值為 { entryId, anchor, heading, length }
+ */
+function buildSectionIndex(entries) {
+  const docs = {};
+  const postings = Object.create(null);
+  let totalLength = 0;
+  
+  entries.forEach(entry => {
+    textUtils.splitSections(entry.text).forEach(section => {
+      const sectionId = `${entry.id}#${section.anchor}`;
+      const termFrequencies = Object.create(null);
+      let length = 0;
+      
+      const fields = {
+        heading: textUtils.tokenize(section.heading),
+        text: textUtils.tokenize(section.text)
+      };
+      
+      for (const [field, tokens] of Object.entries(fields)) {
+        tokens.forEach(token => {
+          termFrequencies[token] = (termFrequencies[token] || 0) + SECTION_FIELD_WEIGHTS[field];
+          length += SECTION_FIELD_WEIGHTS[field];
+        });
+      }
+      
+      for (const [term, frequency] of Object.entries(termFrequencies)) {
+        if (!Object.hasOwn(postings, term)) {
+          postings[term] = {};
+        }
+        postings[term][sectionId] = frequency;
+      }
+      
+      docs[sectionId] = {
+        entryId: entry.id,
+        anchor: section.anchor,
+        heading: section.heading,
+        length: length
+      };
+      totalLength += length;
+    });
+  });
+  
+  const docCount = Object.keys(docs).length;
+  
+  return {
+    docCount: docCount,
+    avgDocLength: docCount > 0 ? totalLength / docCount : 0,
+    docs: docs,
+    postings: postings
+  };
+}
+
+export default {
+  buildSearchIndex
+};
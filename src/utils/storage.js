@@ -0,0 +1,98 @@
+/**
+ * 鍵值存儲模組
+ * 提供帶有存活時間（TTL）的鍵值存儲介面，讓服務不必直接依賴 Cloudflare KV
+ *
+ * 存儲物件介面：
+ *   get(key) → Promise<any|null>               讀取值，不存在或已過期時為null
+ *   put(key, value, { ttl }) → Promise<void>   寫入可JSON序列化的值，ttl單位為秒
+ *   delete(key) → Promise<void>                刪除值
+ */
+
+import config from './config.js';
+import logger from './logger.js';
+
+// Cloudflare KV 的 expirationTtl 最少為60秒
+const KV_MIN_TTL = 60;
+
+/**
+ * 建立以 Cloudflare KV 為後端的存儲
+ * 注意 KV 為最終一致性，不同地區的 isolate 可能在數十秒內讀到舊值
+ * @param {Object} namespace KV命名空間綁定（例如 env.NURSING_KNOWLEDGE）
+ * @param {string} prefix 鍵的前綴（例如 dialog:），避免與知識庫的鍵衝突
+ * @returns {Object} 存儲物件
+ */
+function createKVStore(namespace, prefix) {
+  return {
+    async get(key) {
+      const raw = await namespace.get(prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    
+    async put(key, value, options = {}) {
+      const putOptions = options.ttl
+        ? { expirationTtl: Math.max(Math.ceil(options.ttl), KV_MIN_TTL) }
+        : {};
+      await namespace.put(prefix + key, JSON.stringify(value), putOptions);
+    },
+    
+    async delete(key) {
+      await namespace.delete(prefix + key);
+    }
+  };
+}
+
+/**
+ * 建立記憶體存儲，用於測試或沒有KV綁定的本機開發
+ * 值以JSON序列化後保存，與KV一樣讀取時取得的是副本
+ * @returns {Object} 存儲物件
+ */
+function createMemoryStore() {
+  const values = new Map();
+  
+  return {
+    async get(key) {
+      const item = values.get(key);
+      if (!item) {
+        return null;
+      }
+      
+      if (item.expiresAt && item.expiresAt <= Date.now()) {
+        values.delete(key);
+        return null;
+      }
+      
+      return JSON.parse(item.value);
+    },
+    
+    async put(key, value, options = {}) {
+      values.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: options.ttl ? Date.now() + options.ttl * 1000 : null
+      });
+    },
+    
+    async delete(key) {
+      values.delete(key);
+    }
+  };
+}
+
+/**
+ * 依目前環境建立存儲：有KV綁定時使用KV，否則使用記憶體存儲
+ * @param {string} prefix 鍵的前綴
+ * @returns {Object} 存儲物件
+ */
+function createDefaultStore(prefix) {
+  if (config.kv.nursing_knowledge) {
+    return createKVStore(config.kv.nursing_knowledge, prefix);
+  }
+  
+  logger.warn('未設定KV存儲，改用記憶體存儲（資料不會在isolate之間共享）', { prefix });
+  return createMemoryStore();
+}
+
+export default {
+  createKVStore,
+  createMemoryStore,
+  createDefaultStore
+};
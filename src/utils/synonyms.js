@@ -0,0 +1,154 @@
+/**
+ * 同義詞字典模組
+ * 將縮寫、俗稱等別名對應到標準關鍵詞，讓知識條目只需維護標準關鍵詞
+ * 字典格式：{ "標準關鍵詞": ["別名1", "別名2"] }，存放於 iso-documents/synonyms.json，上傳後以 synonyms 鍵存放於KV
+ * 此模組同時由 Worker（查詢擴展）與上傳腳本（字典驗證）使用
+ */
+
+import textUtils from './text.js';
+
+// 英數字別名需以完整單字匹配，避免「HD」誤中「HDMI」
+const LATIN_ALIAS_PATTERN = /^[a-z0-9 ]+$/;
+
+/**
+ * 建立別名到標準關鍵詞的對應表
+ * @param {Object} dictionary 同義詞字典
+ * @returns {Object} 正規化後的別名到標準關鍵詞的對應表
+ */
+function buildAliasMap(dictionary) {
+  const aliasMap = {};
+  
+  for (const [canonical, aliases] of Object.entries(dictionary || {})) {
+    aliases.forEach(alias => {
+      aliasMap[textUtils.normalizeText(alias)] = canonical;
+    });
+  }
+  
+  return aliasMap;
+}
+
+/**
+ * 以同義詞字典擴展查詢
+ * 整個查詢就是別名時直接換成標準關鍵詞；否則將命中別名的標準關鍵詞附加在查詢後方
+ * @param {string} query 用戶查詢文字
+ * @param {Object} aliasMap 別名對應表（由 buildAliasMap 建立）
+ * @returns {string} 擴展後的查詢文字
+ */
+function expandQuery(query, aliasMap) {
+  const normalizedQuery = textUtils.normalizeText(query);
+  
+  if (aliasMap[normalizedQuery]) {
+    return aliasMap[normalizedQuery];
+  }
+  
+  const canonicals = [];
+  
+  // 先比對較長的別名，讓「動脈導管」優先於「導管」
+  const aliases = Object.keys(aliasMap).sort((a, b) => b.length - a.length);
+  for (const alias of aliases) {
+    const canonical = aliasMap[alias];
+    if (canonicals.includes(canonical) || !containsAlias(normalizedQuery, alias)) {
+      continue;
+    }
+    canonicals.push(canonical);
+  }
+  
+  return canonicals.length > 0 ? `${query} ${canonicals.join(' ')}` : query;
+}
+
+/**
+ * 檢查查詢是否包含別名
+ * 中文別名忽略空白做子字串比對；英數字別名需以完整單字匹配，單字間的空白可有可無（A-line、A line、Aline）
+ * @param {string} normalizedQuery 正規化後的查詢文字
+ * @param {string} alias 正規化後的別名
+ * @returns {boolean} 是否包含
+ */
+function containsAlias(normalizedQuery, alias) {
+  if (!LATIN_ALIAS_PATTERN.test(alias)) {
+    return textUtils.compactText(normalizedQuery).includes(textUtils.compactText(alias));
+  }
+  
+  const pattern = alias.split(' ').join('\\s?');
+  return new RegExp(`(^|[^a-z0-9])${pattern}($|[^a-z0-9])`).test(normalizedQuery);
+}
+
+/**
+ * 驗證同義詞字典
+ * @param {Object} dictionary 同義詞字典
+ * @param {Object} options 驗證選項
+ * @param {Array<string>} options.reservedWords 不可作為別名的保留字（例如部門代碼）
+ * @param {Array<string>} options.keywords 所有知識條目的關鍵詞
+ * @returns {{errors: Array<string>, warnings: Array<string>}} 錯誤與警告訊息
+ */
+function validateSynonyms(dictionary, { reservedWords = [], keywords = [] } = {}) {
+  const errors = [];
+  const warnings = [];
+  
+  if (!dictionary || typeof dictionary !== 'object' || Array.isArray(dictionary)) {
+    errors.push('同義詞字典必須是 { "標準關鍵詞": ["別名"] } 格式的物件');
+    return { errors, warnings };
+  }
+  
+  // 一律以正規化後的形式比較，與查詢時的匹配方式一致
+  const normalizedReserved = reservedWords.map(word => textUtils.compactText(word));
+  const normalizedKeywords = keywords.map(keyword => textUtils.compactText(keyword));
+  const normalizedCanonicals = Object.keys(dictionary).map(canonical => textUtils.compactText(canonical));
+  const aliasOwners = {};
+  
+  for (const [canonical, aliases] of Object.entries(dictionary)) {
+    const normalizedCanonical = textUtils.compactText(canonical);
+    
+    if (!normalizedCanonical) {
+      errors.push('標準關鍵詞不可為空字串');
+      continue;
+    }
+    
+    if (!Array.isArray(aliases) || aliases.length === 0) {
+      errors.push(`「${canonical}」的別名必須是非空陣列`);
+      continue;
+    }
+    
+    if (!normalizedKeywords.includes(normalizedCanonical)) {
+      warnings.push(`「${canonical}」不是任何知識條目的關鍵詞，擴展後的查詢可能找不到條目`);
+    }
+    
+    aliases.forEach(alias => {
+      if (typeof alias !== 'string' || !alias.trim()) {
+        errors.push(`「${canonical}」包含空白或非文字的別名`);
+        return;
+      }
+      
+      const normalizedAlias = textUtils.compactText(alias);
+      
+      if (normalizedAlias === normalizedCanonical) {
+        warnings.push(`「${canonical}」的別名與標準關鍵詞相同，可以移除`);
+        return;
+      }
+      
+      if (normalizedReserved.includes(normalizedAlias)) {
+        errors.push(`別名「${alias}」與保留字（部門代碼）衝突`);
+      }
+      
+      if (normalizedCanonicals.includes(normalizedAlias)) {
+        errors.push(`別名「${alias}」同時是另一個標準關鍵詞，請勿串接同義詞`);
+      }
+      
+      if (aliasOwners[normalizedAlias] && aliasOwners[normalizedAlias] !== canonical) {
+        errors.push(`別名「${alias}」同時對應「${aliasOwners[normalizedAlias]}」與「${canonical}」`);
+      }
+      aliasOwners[normalizedAlias] = canonical;
+      
+      if (normalizedKeywords.includes(normalizedAlias)) {
+        warnings.push(`關鍵詞「${alias}」已由同義詞字典對應到「${canonical}」，可從知識條目的keywords中移除`);
+      }
+    });
+  }
+  
+  return { errors, warnings };
+}
+
+export default {
+  buildAliasMap,
+  expandQuery,
+  validateSynonyms
+};
@@ -0,0 +1,265 @@
+/**
+ * 文字處理工具模組
+ * 提供文字正規化、知識條目標題與摘要擷取、小節切分、斷詞與相似度計算功能
+ * 此模組同時由 Worker 與上傳腳本（upload-common.cjs）使用，
+ * 以確保建立索引與查詢時的斷詞結果一致
+ */
+
+// 中日韓統一表意文字（含擴充A區與相容區）
+const CJK_PATTERN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/;
+
+// 簡體字到繁體字的對照（同一位置的字元互相對應），涵蓋護理常用字與常見口語用字
+const SIMPLIFIED_CHARS = '装设护医药压导监测静脉过滤肾输给伤换历体温机气疮观检记录处项骤频图连时间剂计无针头线热动门诊术员开关锁紧废补齿轮软侧挂钩对应号颜确认启预缠绕转这么吗个们说问题样还没为从会来后里钠钾钙镁饱脏肠脑颅肤疗断级评训练课讲师长据数单双见视听读写报请谢帮准备实际标规范质类别产妇儿种创喂营养离洁净灭缝钳镜内电仪显误错调节键钮纸卫学习资讯网络页码扫称专业楼层岁龄婴阶续镇经癫痫烧烫饮岛点贴纱胶带约坠险风抢验结异围状态况变选择档传载声乐尽';
+const TRADITIONAL_CHARS = '裝設護醫藥壓導監測靜脈過濾腎輸給傷換歷體溫機氣瘡觀檢記錄處項驟頻圖連時間劑計無針頭線熱動門診術員開關鎖緊廢補齒輪軟側掛鉤對應號顏確認啟預纏繞轉這麼嗎個們說問題樣還沒為從會來後裡鈉鉀鈣鎂飽臟腸腦顱膚療斷級評訓練課講師長據數單雙見視聽讀寫報請謝幫準備實際標規範質類別產婦兒種創餵營養離潔淨滅縫鉗鏡內電儀顯誤錯調節鍵鈕紙衛學習資訊網絡頁碼掃稱專業樓層歲齡嬰階續鎮經癲癇燒燙飲島點貼紗膠帶約墜險風搶驗結異圍狀態況變選擇檔傳載聲樂盡';
+
+const SIMPLIFIED_TO_TRADITIONAL = new Map(
+  Array.from(SIMPLIFIED_CHARS).map((char, i) => [char, TRADITIONAL_CHARS[i]])
+);
+
+// 標點符號與符號（含全形標點、emoji）
+const PUNCTUATION_PATTERN = /[\p{P}\p{S}]/gu;
+
+// 將文字切分為連續的中文字串與英數字串
+const SEGMENT_PATTERN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+|[a-z0-9]+/g;
+
+// 查詢中常見的提問用語，不代表查詢主題，斷詞前移除（長的放前面，避免先被短的拆開）
+const QUERY_STOP_PHRASES = ['為什麼', '怎麼辦', '請問', '怎麼', '如何', '什麼', '哪裡', '可以', '嗎', '呢'];
+
+// 知識條目中的小節標題（## 到 ######，# 為條目標題）
+const SECTION_HEADING_PATTERN = /^(#{2,6})\s+(.+)$/;
+
+// 步驟小節標題，例如「Step 8：加溫管纏繞」、「步驟 3」、「第3步」
+const STEP_HEADING_PATTERN = /^(?:step\s*(\d+)|步驟\s*(\d+)|第\s*(\d+)\s*步)/i;
+
+/**
+ * 正規化文字，讓不同輸入方式的同一詞彙可以互相匹配
+ * 依序處理：NFKC全形半形折疊（ＣＶＶＨ → CVVH）、簡體轉繁體（装置 → 裝置）、轉小寫、
+ * 將標點符號換成空白並合併連續空白
+ * @param {string} text 原始文字
+ * @returns {string} 正規化後的文字
+ */
+function normalizeText(text) {
+  const folded = String(text || '').normalize('NFKC');
+  const traditional = Array.from(folded)
+    .map(char => SIMPLIFIED_TO_TRADITIONAL.get(char) || char)
+    .join('');
+  
+  return traditional
+    .toLowerCase()
+    .replace(PUNCTUATION_PATTERN, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 正規化文字並移除所有空白，用於關鍵詞的子字串比對
+ * 例如「CVVH 裝置」、「ＣＶＶＨ裝置」與「cvvh-装置」都會變成「cvvh裝置」
+ * @param {string} text 原始文字
+ * @returns {string} 正規化且無空白的文字
+ */
+function compactText(text) {
+  return normalizeText(text).replace(/\s+/g, '');
+}
+
+/**
+ * 從知識條目文本中提取標題
+ * @param {string} text 知識條目文本
+ * @returns {string} 標題
+ */
+function extractTitle(text) {
+  const titleMatch = text.match(/^#\s+(.+)$/m);
+  return titleMatch ? titleMatch[1].trim() : '未命名知識條目';
+}
+
+/**
+ * 從知識條目文本中提取描述
+ * @param {string} text 知識條目文本
+ * @returns {string} 描述
+ */
+function extractDescription(text) {
+  // 嘗試獲取第一個非標題段落作為描述
+  const paragraphs = text.split('\n\n');
+  let description = '';
+  
+  for (const paragraph of paragraphs) {
+    if (!paragraph.startsWith('#') && paragraph.trim().length > 0) {
+      description = paragraph.trim();
+      break;
+    }
+  }
+  
+  // 如果描述太長，截斷它
+  if (description.length > 50) {
+    description = description.substring(0, 50) + '...';
+  }
+  
+  return description || '無描述';
+}
+
+/**
+ * 將文字斷詞為索引詞彙（會先正規化）
+ * 中文使用相鄰兩字（bigram），單獨一個中文字時保留單字；英數字以整個單字為一個詞彙
+ * 例如「CVVH裝置」會斷為 ["cvvh", "裝置"]
+ * @param {string} text 原始文字
+ * @returns {Array<string>} 詞彙陣列（可能重複，用於計算詞頻）
+ */
+function tokenize(text) {
+  const tokens = [];
+  const segments = normalizeText(text).match(SEGMENT_PATTERN) || [];
+  
+  for (const segment of segments) {
+    if (!CJK_PATTERN.test(segment[0])) {
+      tokens.push(segment);
+      continue;
+    }
+    
+    if (segment.length === 1) {
+      tokens.push(segment);
+      continue;
+    }
+    
+    for (let i = 0; i < segment.length - 1; i++) {
+      tokens.push(segment.substring(i, i + 2));
+    }
+  }
+  
+  return tokens;
+}
+
+/**
+ * 將用戶查詢斷詞，與 tokenize 相同但先移除「怎麼」、「如何」等提問用語
+ * 例如「加溫管怎麼纏」會斷為 ["加溫", "溫管", "纏"]，而不會產生「管怎」、「麼纏」等無關詞彙
+ * @param {string} query 用戶查詢文字
+ * @returns {Array<string>} 詞彙陣列
+ */
+function tokenizeQuery(query) {
+  let text = normalizeText(query);
+  for (const phrase of QUERY_STOP_PHRASES) {
+    text = text.split(phrase).join(' ');
+  }
+  
+  return tokenize(text);
+}
+
+/**
+ * 依小節標題（## 到 ######）將知識條目文本切分為小節
+ * 條目標題（#）與第一個小節標題之前的內容不屬於任何小節
+ * 步驟小節的錨點為 step-N（N為標題中的步驟編號），其餘小節為 section-N（N為小節順序，從1開始）
+ * @param {string} text 知識條目文本
+ * @returns {Array<Object>} 小節陣列 { anchor, heading, level, text }，text不含標題行
+ */
+function splitSections(text) {
+  const sections = [];
+  let current = null;
+  
+  for (const line of String(text || '').split('\n')) {
+    const headingMatch = line.match(SECTION_HEADING_PATTERN);
+    if (!headingMatch) {
+      if (current) {
+        current.lines.push(line);
+      }
+      continue;
+    }
+    
+    const heading = headingMatch[2].trim();
+    const stepMatch = heading.normalize('NFKC').match(STEP_HEADING_PATTERN);
+    const stepNumber = stepMatch ? (stepMatch[1] || stepMatch[2] || stepMatch[3]) : null;
+    
+    current = {
+      anchor: stepNumber ? `step-${Number(stepNumber)}` : `section-${sections.length + 1}`,
+      heading: heading,
+      level: headingMatch[1].length,
+      lines: []
+    };
+    sections.push(current);
+  }
+  
+  return sections.map(section => ({
+    anchor: section.anchor,
+    heading: section.heading,
+    level: section.level,
+    text: section.lines.join('\n').trim()
+  }));
+}
+
+/**
+ * 計算兩個字串的相似度（0到1）
+ * 取編輯距離相似度與中文bigram重疊度（Dice係數）的較大者，
+ * 前者適合打錯字的英文設備名稱（CVHH → CVVH），後者適合詞序或用字略有不同的中文
+ * @param {string} a 字串A
+ * @param {string} b 字串B
+ * @returns {number} 相似度，1表示相同
+ */
+function similarity(a, b) {
+  const left = compactText(a);
+  const right = compactText(b);
+  
+  if (!left || !right) {
+    return 0;
+  }
+  
+  if (left === right) {
+    return 1;
+  }
+  
+  const editSimilarity = 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+  return Math.max(editSimilarity, diceCoefficient(left, right));
+}
+
+/**
+ * 計算編輯距離（插入、刪除、替換各算一次）
+ * @param {string} a 字串A
+ * @param {string} b 字串B
+ * @returns {number} 編輯距離
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+/**
+ * 計算兩個字串bigram集合的Dice係數
+ * @param {string} a 字串A
+ * @param {string} b 字串B
+ * @returns {number} Dice係數（0到1）
+ */
+function diceCoefficient(a, b) {
+  if (a.length < 2 || b.length < 2) {
+    return 0;
+  }
+  
+  const bigrams = text => {
+    const result = new Set();
+    for (let i = 0; i < text.length - 1; i++) {
+      result.add(text.substring(i, i + 2));
+    }
+    return result;
+  };
+  
+  const left = bigrams(a);
+  const right = bigrams(b);
+  const overlap = Array.from(left).filter(bigram => right.has(bigram)).length;
+  
+  return (2 * overlap) / (left.size + right.size);
+}
+
+export default {
+  normalizeText,
+  compactText,
+  extractTitle,
+  extractDescription,
+  tokenize,
+  tokenizeQuery,
+  splitSections,
+  similarity
+};
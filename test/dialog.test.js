@@ -0,0 +1,160 @@
+/**
+ * 對話服務測試
+ * 以記憶體存儲驗證對話上下文的存活時間、逐步教學位置與每個事件的讀寫次數
+ * 執行方式: npm test（或 node --test test/*.test.js）
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import dialogService from '../src/services/dialog.js';
+import storage from '../src/utils/storage.js';
+
+// 對話上下文的存活時間（與 dialog.js 的 CONTEXT_TTL 相同）
+const CONTEXT_TTL_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * 建立記錄讀寫次數的記憶體存儲
+ * @returns {Object} 存儲物件，calls 為各操作的呼叫次數
+ */
+function createCountingStore() {
+  const store = storage.createMemoryStore();
+  const calls = { get: 0, put: 0, delete: 0 };
+  
+  return {
+    calls,
+    
+    async get(key) {
+      calls.get++;
+      return await store.get(key);
+    },
+    
+    async put(key, value, options) {
+      calls.put++;
+      await store.put(key, value, options);
+    },
+    
+    async delete(key) {
+      calls.delete++;
+      await store.delete(key);
+    }
+  };
+}
+
+test('對話上下文超過存活時間後重新開始', async (t) => {
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  dialogService.setStore(storage.createMemoryStore());
+  
+  await dialogService.recordUserMessage('U1', 'CVVH');
+  assert.equal((await dialogService.getDialogHistory('U1')).length, 1);
+  
+  Date.now.mock.mockImplementation(() => now + CONTEXT_TTL_MS - 1000);
+  assert.equal((await dialogService.getDialogHistory('U1')).length, 1);
+  
+  Date.now.mock.mockImplementation(() => now + CONTEXT_TTL_MS);
+  assert.deepEqual(await dialogService.getDialogHistory('U1'), []);
+});
+
+test('每次寫入重新計算存活時間', async (t) => {
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  dialogService.setStore(storage.createMemoryStore());
+  
+  await dialogService.recordUserMessage('U1', 'CVVH');
+  
+  Date.now.mock.mockImplementation(() => now + CONTEXT_TTL_MS - 1000);
+  await dialogService.recordUserMessage('U1', 'ECMO');
+  
+  Date.now.mock.mockImplementation(() => now + CONTEXT_TTL_MS + 1000);
+  assert.equal((await dialogService.getDialogHistory('U1')).length, 2);
+});
+
+test('逐步教學位置在重新讀取上下文後保留', async () => {
+  dialogService.setStore(storage.createMemoryStore());
+  
+  await dialogService.withUserContext('U1', async () => {
+    await dialogService.setWalkthroughState('U1', { entryId: 'cvvh-setup', position: 2 });
+  });
+  
+  // 新的事件重新從存儲讀取上下文
+  await dialogService.withUserContext('U1', async () => {
+    assert.deepEqual(await dialogService.getWalkthroughState('U1'), { entryId: 'cvvh-setup', position: 2 });
+    await dialogService.setWalkthroughState('U1', { entryId: 'cvvh-setup', position: 3 });
+  });
+  
+  assert.deepEqual(await dialogService.getWalkthroughState('U1'), { entryId: 'cvvh-setup', position: 3 });
+  
+  await dialogService.clearWalkthroughState('U1');
+  assert.equal(await dialogService.getWalkthroughState('U1'), null);
+});
+
+test('同一事件中的多次變更只讀取與寫入一次', async () => {
+  const store = createCountingStore();
+  dialogService.setStore(store);
+  
+  await dialogService.withUserContext('U1', async () => {
+    await dialogService.recordUserMessage('U1', '下一步');
+    await dialogService.setWalkthroughState('U1', { entryId: 'cvvh-setup', position: 1 });
+    await dialogService.recordBotMessage('U1', { entryId: 'cvvh-setup', department: 'icu', anchor: 'step-2' });
+    
+    assert.equal(store.calls.put, 0);
+  });
+  
+  assert.deepEqual(store.calls, { get: 1, put: 1, delete: 0 });
+  
+  const history = await dialogService.getDialogHistory('U1');
+  assert.equal(history.length, 2);
+  assert.deepEqual(await dialogService.getLastTopic('U1'), { entryId: 'cvvh-setup', department: 'icu', anchor: 'step-2' });
+});
+
+test('同一用戶同時處理的事件共用上下文，最後一個結束時寫入', async () => {
+  const store = createCountingStore();
+  dialogService.setStore(store);
+  
+  let release;
+  const released = new Promise(resolve => {
+    release = resolve;
+  });
+  
+  const first = dialogService.withUserContext('U1', async () => {
+    await dialogService.recordUserMessage('U1', 'CVVH');
+    await released;
+  });
+  
+  await dialogService.withUserContext('U1', async () => {
+    await dialogService.recordUserMessage('U1', 'ECMO');
+  });
+  assert.equal(store.calls.put, 0);
+  
+  release();
+  await first;
+  
+  assert.deepEqual(store.calls, { get: 1, put: 1, delete: 0 });
+  assert.deepEqual((await dialogService.getDialogHistory('U1')).map(item => item.content), ['CVVH', 'ECMO']);
+});
+
+test('沒有變更的事件不寫入存儲', async () => {
+  const store = createCountingStore();
+  dialogService.setStore(store);
+  
+  await dialogService.withUserContext('U1', async () => {
+    await dialogService.getWalkthroughState('U1');
+    await dialogService.getLastTopic('U1');
+  });
+  
+  assert.deepEqual(store.calls, { get: 1, put: 0, delete: 0 });
+});
+
+test('事件中清除上下文時於結束後刪除一次', async () => {
+  const store = createCountingStore();
+  dialogService.setStore(store);
+  await dialogService.recordUserMessage('U1', 'CVVH');
+  
+  await dialogService.withUserContext('U1', async () => {
+    await dialogService.recordUserMessage('U1', 'ECMO');
+    await dialogService.clearUserContext('U1');
+  });
+  
+  assert.deepEqual(store.calls, { get: 2, put: 1, delete: 1 });
+  assert.deepEqual(await dialogService.getDialogHistory('U1'), []);
+});
@@ -0,0 +1,26 @@
+/**
+ * LINE webhook 請求體與 x-line-signature 範例
+ * 請求體依LINE平台送出的格式逐字保存（簽名以原始位元組計算，不可重新排版或重新序列化），
+ * 簽名以下方的測試用頻道密鑰計算；更換請求體時須以同一密鑰重新計算簽名
+ */
+
+// 測試用頻道密鑰（不是正式頻道的密鑰）
+export const CHANNEL_SECRET = 'test-channel-secret-0123456789ab';
+
+export const WEBHOOKS = [
+  {
+    name: '文字訊息（含中文與表情符號）',
+    body: '{"destination":"Uf0123456789abcdef0123456789abcde","events":[{"type":"message","message":{"type":"text","id":"468789577898262530","quoteToken":"q3Plxr4AgKd...","text":"CVVH 管路怎麼裝？🙂"},"webhookEventId":"01H810YECXQQZ37VAXPF6H9E6T","deliveryContext":{"isRedelivery":false},"timestamp":1692251666727,"source":{"type":"user","userId":"U4af4980629..."},"replyToken":"38ef843bde154d9b91c21320ffd17a0f","mode":"active"}]}',
+    signature: 'M4s7htOxueJmQb4r4BVudQItQqChqqZQAroO/yT4txY='
+  },
+  {
+    name: '重送的回傳事件',
+    body: '{"destination":"Uf0123456789abcdef0123456789abcde","events":[{"type":"postback","postback":{"data":"action=open&id=icu-cvvh-setup"},"webhookEventId":"01H810YECXQQZ37VAXPF6H9E6V","deliveryContext":{"isRedelivery":true},"timestamp":1692251666900,"source":{"type":"user","userId":"U4af4980629..."},"replyToken":"b60d432864f44d079f6d8efe86cf404b","mode":"active"}]}',
+    signature: 'Lb8XE8PUggh4TIOvJQkxXDl9WYFKXwkNlZaTYTdgzf4='
+  },
+  {
+    name: 'LINE Developers 主控台的「Verify」請求（沒有事件）',
+    body: '{"destination":"Uf0123456789abcdef0123456789abcde","events":[]}',
+    signature: 'VmzupEew/EAP7yl6zqj2qmQPxiv0G0uID2qfKuBRKEM='
+  }
+];
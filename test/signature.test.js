@@ -0,0 +1,55 @@
+/**
+ * LINE簽名驗證測試
+ * 執行方式: npm test（或 node --test test/*.test.js）
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import signatureUtils from '../src/line/signature.js';
+import { CHANNEL_SECRET, WEBHOOKS } from './fixtures/line-webhooks.js';
+
+const [webhook] = WEBHOOKS;
+
+for (const { name, body, signature } of WEBHOOKS) {
+  test(`有效的簽名：${name}`, async () => {
+    assert.equal(await signatureUtils.verifySignature(body, signature, CHANNEL_SECRET), true);
+  });
+}
+
+test('請求體被竄改時簽名無效', async () => {
+  const tampered = webhook.body.replace('CVVH', 'ECMO');
+  assert.equal(await signatureUtils.verifySignature(tampered, webhook.signature, CHANNEL_SECRET), false);
+});
+
+test('請求體重新序列化後簽名無效', async () => {
+  const reserialized = JSON.stringify(JSON.parse(webhook.body), null, 2);
+  assert.equal(await signatureUtils.verifySignature(reserialized, webhook.signature, CHANNEL_SECRET), false);
+});
+
+test('頻道密鑰不同時簽名無效', async () => {
+  assert.equal(await signatureUtils.verifySignature(webhook.body, webhook.signature, 'another-channel-secret'), false);
+});
+
+test('簽名長度錯誤時無效', async () => {
+  // 截短為16位元組與補長為48位元組的簽名
+  const truncated = Buffer.from(webhook.signature, 'base64').subarray(0, 16).toString('base64');
+  const extended = Buffer.concat([Buffer.from(webhook.signature, 'base64'), Buffer.alloc(16)]).toString('base64');
+  
+  assert.equal(await signatureUtils.verifySignature(webhook.body, truncated, CHANNEL_SECRET), false);
+  assert.equal(await signatureUtils.verifySignature(webhook.body, extended, CHANNEL_SECRET), false);
+});
+
+test('簽名為空或不是Base64時無效', async () => {
+  assert.equal(await signatureUtils.verifySignature(webhook.body, '', CHANNEL_SECRET), false);
+  assert.equal(await signatureUtils.verifySignature(webhook.body, undefined, CHANNEL_SECRET), false);
+  assert.equal(await signatureUtils.verifySignature(webhook.body, '不是簽名!!', CHANNEL_SECRET), false);
+});
+
+test('未設定頻道密鑰時拋出明確的錯誤', async () => {
+  for (const secret of ['', undefined]) {
+    await assert.rejects(
+      signatureUtils.verifySignature(webhook.body, webhook.signature, secret),
+      /未設定 LINE_CHANNEL_SECRET/
+    );
+  }
+});
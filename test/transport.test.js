@@ -0,0 +1,156 @@
+/**
+ * LINE API傳輸測試
+ * 以模擬的請求函數驗證錯誤分類、重試條件與 Retry-After 的處理，重試時不實際等待
+ * 執行方式: npm test（或 node --test test/*.test.js）
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import transport from '../src/line/transport.js';
+
+// 記錄每次重試前的等待時間
+const delays = [];
+
+transport.setSleep(async (ms) => {
+  delays.push(ms);
+});
+
+test.beforeEach(() => {
+  delays.length = 0;
+});
+
+/**
+ * 建立與LINE SDK的 HTTPError 相同形狀的錯誤
+ * @param {number} status HTTP狀態碼
+ * @param {Object} [data] 回應內容
+ * @param {Object} [headers] 回應標頭
+ * @returns {Error} 錯誤物件
+ */
+function createHttpError(status, data = {}, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.statusCode = status;
+  error.originalError = { response: { status, headers, data } };
+  return error;
+}
+
+/**
+ * 建立依序拋出錯誤或回傳結果的請求函數
+ * @param {Array<Error|any>} outcomes 每次呼叫的結果，Error 會被拋出
+ * @returns {Function} 請求函數，calls 為每次呼叫收到的重試鍵
+ */
+function createCall(outcomes) {
+  const call = async (retryKey) => {
+    call.calls.push(retryKey);
+    const outcome = outcomes[call.calls.length - 1];
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return outcome;
+  };
+  call.calls = [];
+  return call;
+}
+
+test('依狀態碼與訊息分類錯誤', () => {
+  const cases = [
+    [createHttpError(429, { message: 'Too Many Requests' }), 'rate_limit', true],
+    [createHttpError(429, { message: 'You have reached your monthly limit.' }), 'quota', false],
+    [createHttpError(500), 'server', true],
+    [createHttpError(400, { message: 'Invalid reply token' }), 'reply_token', false],
+    [createHttpError(400, { message: 'The request body has 1 error(s)' }), 'validation', false],
+    [createHttpError(401), 'auth', false],
+    [createHttpError(404), 'not_found', false],
+    [createHttpError(409), 'conflict', false],
+    [new Error('socket hang up'), 'network', true]
+  ];
+  
+  for (const [error, kind, retryable] of cases) {
+    const info = transport.classifyError(error);
+    assert.equal(info.kind, kind, error.message);
+    assert.equal(info.retryable, retryable, error.message);
+  }
+});
+
+test('解析 Retry-After 與驗證錯誤的明細', () => {
+  const details = [{ message: 'Length must be between 0 and 5000', property: 'messages[0].text' }];
+  
+  assert.equal(transport.classifyError(createHttpError(429, {}, { 'retry-after': '3' })).retryAfterMs, 3000);
+  assert.equal(transport.classifyError(createHttpError(429)).retryAfterMs, null);
+  assert.deepEqual(transport.classifyError(createHttpError(400, { message: 'The request body has 1 error(s)', details })).details, details);
+});
+
+test('429 依 Retry-After 等待後重試', async () => {
+  const call = createCall([createHttpError(429, { message: 'Too Many Requests' }, { 'retry-after': '2' }), { ok: true }]);
+  
+  assert.deepEqual(await transport.request('replyMessage', call, { idempotent: false }), { ok: true });
+  assert.equal(call.calls.length, 2);
+  assert.deepEqual(delays, [2000]);
+});
+
+test('Retry-After 超過10秒時不重試', async () => {
+  const call = createCall([createHttpError(429, { message: 'Too Many Requests' }, { 'retry-after': '11' })]);
+  
+  await assert.rejects(transport.request('pushMessage', call), {
+    name: 'LineApiError',
+    kind: 'rate_limit',
+    retryAfterMs: 11000,
+    attempts: 1
+  });
+  assert.equal(call.calls.length, 1);
+  assert.deepEqual(delays, []);
+});
+
+test('可重試的錯誤最多嘗試3次', async () => {
+  const call = createCall([createHttpError(503), createHttpError(503), createHttpError(503)]);
+  
+  await assert.rejects(transport.request('getRichMenu', call), { kind: 'server', attempts: 3 });
+  assert.equal(call.calls.length, 3);
+  assert.equal(delays.length, 2);
+});
+
+test('非冪等且沒有重試鍵的請求遇到伺服器或網路錯誤時不重試', async () => {
+  for (const error of [createHttpError(500), new Error('socket hang up')]) {
+    const call = createCall([error, { ok: true }]);
+    
+    await assert.rejects(transport.request('replyMessage', call, { idempotent: false }), { attempts: 1 });
+    assert.equal(call.calls.length, 1);
+  }
+  assert.deepEqual(delays, []);
+});
+
+test('使用重試鍵時伺服器錯誤以相同的重試鍵重試', async () => {
+  const call = createCall([createHttpError(500), { ok: true }]);
+  
+  assert.deepEqual(await transport.request('pushMessage', call, { idempotent: false, retryKey: true }), { ok: true });
+  assert.equal(call.calls.length, 2);
+  assert.ok(call.calls[0]);
+  assert.equal(call.calls[1], call.calls[0]);
+});
+
+test('重試時收到409視為先前的嘗試已被接受', async () => {
+  const call = createCall([new Error('timeout of 10000ms exceeded'), createHttpError(409)]);
+  
+  assert.deepEqual(await transport.request('pushMessage', call, { idempotent: false, retryKey: true }), {});
+  assert.equal(call.calls.length, 2);
+});
+
+test('第一次嘗試收到409時拋出錯誤', async () => {
+  const call = createCall([createHttpError(409)]);
+  
+  await assert.rejects(transport.request('pushMessage', call, { retryKey: true }), { kind: 'conflict', attempts: 1 });
+});
+
+test('無法重試的錯誤立即拋出結構化的錯誤', async () => {
+  const call = createCall([createHttpError(400, { message: 'Invalid reply token' })]);
+  
+  await assert.rejects(transport.request('replyMessage', call, { idempotent: false }), (error) => {
+    assert.equal(error.name, 'LineApiError');
+    assert.equal(error.operation, 'replyMessage');
+    assert.equal(error.kind, 'reply_token');
+    assert.equal(error.statusCode, 400);
+    assert.ok(error.originalError);
+    assert.equal(Object.keys(error).includes('originalError'), false);
+    return true;
+  });
+  assert.equal(call.calls.length, 1);
+});
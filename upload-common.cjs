@@ -0,0 +1,314 @@
+/**
+ * ISO文件知識庫上傳工具的共用步驟
+ * upload-iso-files.cjs 與 upload-knowledge.cjs 只負責取得知識條目，
+ * 驗證、產生臨時JSON文件（知識條目、關鍵詞索引、全文檢索索引、部門清單、同義詞字典）與上傳命令都在這裡，
+ * 兩個腳本上傳的資料格式因此一致
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 部門配置
+const departments = [
+  { code: 'icu', name: 'ICU加護病房' },
+  { code: 'er', name: 'ER急診' },
+  { code: 'ward', name: 'Ward病房' },
+  { code: 'or', name: 'OR手術室' },
+  { code: 'opd', name: 'OPD門診' },
+  { code: 'nurse', name: 'Nurse護理部通用' }
+];
+
+// ISO文件目錄
+const ISO_DIR = 'iso-documents';
+
+// 同義詞字典文件
+const SYNONYMS_FILE = path.join(ISO_DIR, 'synonyms.json');
+
+// 臨時文件目錄，每次執行前清空，上傳完成後整個目錄刪除即可
+const UPLOAD_DIR = 'kv-upload';
+
+// 與Worker共用的模組（為ES模組須以import()載入，路徑相對於本文件）
+const TEXT_MODULE = './src/utils/text.js';
+const SEARCH_INDEX_MODULE = './src/utils/search-index.js';
+const SYNONYMS_MODULE = './src/utils/synonyms.js';
+const MEDIA_MODULE = './src/utils/media.js';
+
+// 生產環境命名空間ID
+const PRODUCTION_NAMESPACE_ID = '4303fd77b4754fd2aa994ec132087533';
+
+// 預覽環境命名空間ID（測試用）
+const PREVIEW_NAMESPACE_ID = '53f0fc23f85c418e9fa2f5cba659fddf';
+
+// 取得臨時文件路徑，使用 / 分隔，Windows與其他系統的命令皆可使用
+function getUploadPath(fileName) {
+  return `${UPLOAD_DIR}/${fileName}`;
+}
+
+// 寫入臨時文件，返回文件路徑
+function writeUploadFile(fileName, content) {
+  const filePath = getUploadPath(fileName);
+  fs.writeFileSync(filePath, content);
+  console.log(`已創建臨時文件: ${filePath}`);
+  return filePath;
+}
+
+// 載入與Worker共用的模組
+async function loadSharedModules() {
+  const [text, searchIndex, synonyms, media] = await Promise.all([
+    import(TEXT_MODULE),
+    import(SEARCH_INDEX_MODULE),
+    import(SYNONYMS_MODULE),
+    import(MEDIA_MODULE)
+  ]);
+  
+  return {
+    textUtils: text.default,
+    searchIndexBuilder: searchIndex.default,
+    synonymUtils: synonyms.default,
+    mediaUtils: media.default
+  };
+}
+
+// 驗證並整理一個知識條目，無效時返回null
+// source 為錯誤訊息中顯示的來源，fallbackUpdatedAt 為未設定updatedAt時使用的時間
+function validateEntry(knowledge, source, fallbackUpdatedAt, mediaUtils) {
+  // 驗證媒體欄位：LINE無法傳送的圖片或影片網址不上傳到KV
+  const mediaErrors = knowledge ? mediaUtils.validateEntryMedia(knowledge) : [];
+  
+  if (mediaErrors.length > 0) {
+    mediaErrors.forEach(message => console.error(`錯誤: ${source} 的${message}`));
+    console.error(`錯誤: ${source} 的媒體欄位無效，已跳過`);
+    return null;
+  }
+  
+  // 驗證知識條目格式
+  if (!knowledge || !knowledge.id || !knowledge.keywords || !knowledge.text) {
+    console.error(`錯誤: ${source} 格式無效，缺少必要欄位(id, keywords, text)`);
+    return null;
+  }
+  
+  // 確保ID以部門名稱開頭
+  if (!departments.some(dept => knowledge.id.startsWith(`${dept.code}-`))) {
+    console.warn(`警告: ${source} 的ID不是以部門代碼開頭（例如 "icu-"），不會出現在任何部門列表中。`);
+  }
+  
+  // 檢查選填的列表排序與標籤欄位
+  if (knowledge.order !== undefined && typeof knowledge.order !== 'number') {
+    console.warn(`警告: ${source} 的order必須是數字，將視為未設定`);
+  }
+  if (knowledge.tags !== undefined && !Array.isArray(knowledge.tags)) {
+    console.warn(`警告: ${source} 的tags必須是陣列，將視為未設定`);
+  }
+  
+  // 更新時間：未設定或格式無效時使用fallbackUpdatedAt
+  if (knowledge.updatedAt !== undefined && isNaN(Date.parse(knowledge.updatedAt))) {
+    console.warn(`警告: ${source} 的updatedAt不是有效的日期，將使用${fallbackUpdatedAt}`);
+  }
+  
+  return {
+    ...knowledge,
+    updatedAt: isNaN(Date.parse(knowledge.updatedAt))
+      ? fallbackUpdatedAt
+      : new Date(knowledge.updatedAt).toISOString()
+  };
+}
+
+// 生成臨時JSON文件
+function generateJsonFiles(isoKnowledge, textUtils) {
+  // 建立關鍵詞索引
+  const keywordIndex = {};
+  
+  // 添加部門標記到關鍵詞索引
+  departments.forEach(dept => {
+    keywordIndex[dept.code] = `Department:${dept.code}`;
+    console.log(`添加部門標記: ${dept.code} -> Department:${dept.code} (${dept.name})`);
+  });
+  
+  // 添加知識條目關鍵詞
+  isoKnowledge.forEach(entry => {
+    console.log(`處理知識條目: ${entry.id}`);
+    
+    // 添加所有關鍵詞（以與查詢相同的方式正規化：全形半形、簡繁、大小寫、標點與空白）
+    entry.keywords.forEach(keyword => {
+      const normalizedKeyword = textUtils.compactText(keyword);
+      if (!normalizedKeyword) {
+        console.warn(`警告: 關鍵詞 "${keyword}" 正規化後為空，已跳過`);
+        return;
+      }
+      
+      // 確保關鍵詞不會與部門代碼衝突
+      if (departments.some(dept => dept.code === normalizedKeyword)) {
+        console.log(`警告: 關鍵詞 "${keyword}" 與部門名稱衝突，保留部門標記優先`);
+        return;
+      }
+      keywordIndex[normalizedKeyword] = entry.id;
+      console.log(`添加關鍵詞: ${keyword} -> ${normalizedKeyword} -> ${entry.id}`);
+    });
+  });
+  
+  console.log('正在生成臨時JSON文件...');
+  
+  // 為每個知識條目創建一個文件
+  isoKnowledge.forEach(knowledge => {
+    writeUploadFile(`${knowledge.id}.json`, JSON.stringify(knowledge, null, 2));
+  });
+  
+  // 為關鍵詞索引創建一個文件
+  writeUploadFile('keyword-index.json', JSON.stringify(keywordIndex, null, 2));
+  console.log(`關鍵詞索引包含 ${Object.keys(keywordIndex).length} 個條目`);
+  
+  // 檢查部門關鍵詞設置
+  departments.forEach(dept => {
+    if (keywordIndex[dept.code] && keywordIndex[dept.code].startsWith('Department:')) {
+      console.log(`✅ 部門關鍵詞設置正確: ${dept.code} -> ${keywordIndex[dept.code]} (${dept.name})`);
+    } else {
+      console.warn(`❌ 部門關鍵詞設置錯誤: ${dept.code} -> ${keywordIndex[dept.code] || '未設置'}`);
+    }
+  });
+  
+  return { keywordIndex };
+}
+
+// 生成全文檢索索引臨時文件
+function generateSearchIndexFile(isoKnowledge, searchIndexBuilder) {
+  const searchIndex = searchIndexBuilder.buildSearchIndex(isoKnowledge);
+  
+  writeUploadFile('search-index.json', JSON.stringify(searchIndex));
+  console.log(`全文檢索索引包含 ${searchIndex.docCount} 個條目、${Object.keys(searchIndex.postings).length} 個詞彙`);
+  console.log(`小節索引包含 ${searchIndex.sections.docCount} 個小節`);
+  
+  return { searchIndex };
+}
+
+// 生成部門清單臨時文件
+// 每個部門一個清單，讓Worker只需讀取一個鍵即可列出部門條目，並依order控制顯示順序
+function generateDepartmentManifests(isoKnowledge, textUtils) {
+  departments.forEach(dept => {
+    const entries = isoKnowledge
+      .filter(entry => entry.id.startsWith(`${dept.code}-`))
+      .map(entry => ({
+        id: entry.id,
+        title: textUtils.extractTitle(entry.text),
+        description: textUtils.extractDescription(entry.text),
+        order: typeof entry.order === 'number' ? entry.order : null,
+        tags: Array.isArray(entry.tags) ? entry.tags : [],
+        updatedAt: entry.updatedAt
+      }))
+      // 有設定order的條目依order排在前面，其餘依標題排序
+      .sort((a, b) => {
+        if (a.order !== b.order) {
+          if (a.order === null) return 1;
+          if (b.order === null) return -1;
+          return a.order - b.order;
+        }
+        return a.title.localeCompare(b.title, 'zh-Hant');
+      });
+    
+    const manifest = {
+      department: dept.code,
+      name: dept.name,
+      entries: entries
+    };
+    
+    writeUploadFile(`department-${dept.code}.json`, JSON.stringify(manifest, null, 2));
+    console.log(`部門清單 ${dept.code} 包含 ${entries.length} 個條目`);
+  });
+}
+
+// 讀取並驗證同義詞字典
+function readSynonyms(isoKnowledge, synonymUtils) {
+  if (!fs.existsSync(SYNONYMS_FILE)) {
+    console.warn(`警告: 同義詞字典 ${SYNONYMS_FILE} 不存在，已跳過`);
+    return null;
+  }
+  
+  const dictionary = JSON.parse(fs.readFileSync(SYNONYMS_FILE, 'utf8'));
+  const { errors, warnings } = synonymUtils.validateSynonyms(dictionary, {
+    reservedWords: departments.map(dept => dept.code),
+    keywords: isoKnowledge.flatMap(entry => entry.keywords)
+  });
+  
+  warnings.forEach(warning => console.warn(`警告: ${warning}`));
+  
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`錯誤: ${error}`));
+    throw new Error(`同義詞字典 ${SYNONYMS_FILE} 驗證失敗，共 ${errors.length} 個錯誤`);
+  }
+  
+  writeUploadFile('synonyms.json', JSON.stringify(dictionary, null, 2));
+  console.log(`同義詞字典包含 ${Object.keys(dictionary).length} 個標準關鍵詞`);
+  
+  return dictionary;
+}
+
+// 輸出上傳到一個命名空間的命令，kb-version最後上傳以通知Worker清除快取
+function printNamespaceCommands(namespaceId, isoKnowledge, synonyms, kbVersion) {
+  isoKnowledge.forEach(knowledge => {
+    console.log(`npx wrangler kv:key put --namespace-id=${namespaceId} "knowledge:${knowledge.id}" --path="${getUploadPath(`${knowledge.id}.json`)}"`);
+  });
+  console.log(`npx wrangler kv:key put --namespace-id=${namespaceId} "keyword-index" --path="${getUploadPath('keyword-index.json')}"`);
+  console.log(`npx wrangler kv:key put --namespace-id=${namespaceId} "search-index" --path="${getUploadPath('search-index.json')}"`);
+  departments.forEach(dept => {
+    console.log(`npx wrangler kv:key put --namespace-id=${namespaceId} "department:${dept.code}" --path="${getUploadPath(`department-${dept.code}.json`)}"`);
+  });
+  if (synonyms) {
+    console.log(`npx wrangler kv:key put --namespace-id=${namespaceId} "synonyms" --path="${getUploadPath('synonyms.json')}"`);
+  }
+  console.log(`npx wrangler kv:key put --namespace-id=${namespaceId} "kb-version" "${kbVersion}"`);
+}
+
+// 生成上傳命令
+function generateUploadCommands(isoKnowledge, synonyms) {
+  console.log('\n要上傳ISO知識庫數據，請執行以下命令:');
+  
+  // 知識庫版本號，最後上傳以通知Worker清除快取
+  const kbVersion = new Date().toISOString();
+  
+  console.log('\n# 上傳到預覽環境（測試用）:');
+  printNamespaceCommands(PREVIEW_NAMESPACE_ID, isoKnowledge, synonyms, kbVersion);
+  
+  console.log('\n# 確認無誤後，上傳到生產環境:');
+  printNamespaceCommands(PRODUCTION_NAMESPACE_ID, isoKnowledge, synonyms, kbVersion);
+  
+  console.log(`\n上傳完成後，可以刪除臨時文件目錄 ${UPLOAD_DIR}:`);
+  console.log(`rm -r ${UPLOAD_DIR}              # macOS、Linux`);
+  console.log(`rmdir /s /q ${UPLOAD_DIR}        # Windows`);
+}
+
+// 圖片上傳指南
+function showImageUploadGuide() {
+  console.log('\n=== 圖片和影片上傳指南 ===');
+  console.log('目前有兩種方式可以儲存與ISO文件相關的圖片和影片:');
+  console.log('1. 使用外部存儲服務（如 Cloudflare R2、AWS S3、或圖床服務）');
+  console.log('   - 將圖片上傳到這些服務');
+  console.log('   - 獲取公開訪問URL');
+  console.log('   - 在知識條目中使用該URL作為imageUrl或videoUrl');
+  console.log('2. 使用 Cloudflare Pages 或 Workers 靜態資源');
+  console.log('   - 上傳圖片到 Cloudflare Pages 項目');
+  console.log('   - 使用 Pages 生成的URL作為圖片來源');
+  console.log('注意：LINE只能直接傳送HTTPS的JPEG/PNG圖片與MP4影片（需附預覽圖），YouTube等影片網頁會以按鈕開啟；');
+  console.log('      不符合規則的媒體欄位會讓該條目被拒絕上傳。');
+  console.log('請選擇適合您需求的方式來存儲和引用圖片資源。');
+}
+
+// 以驗證過的知識條目產生所有臨時JSON文件與上傳命令
+function prepareUpload(isoKnowledge, modules) {
+  // 清除上次執行留下的臨時文件，避免上傳已刪除條目的舊文件
+  fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+  fs.mkdirSync(UPLOAD_DIR);
+  
+  const synonyms = readSynonyms(isoKnowledge, modules.synonymUtils);
+  generateJsonFiles(isoKnowledge, modules.textUtils);
+  generateDepartmentManifests(isoKnowledge, modules.textUtils);
+  generateSearchIndexFile(isoKnowledge, modules.searchIndexBuilder);
+  generateUploadCommands(isoKnowledge, synonyms);
+}
+
+module.exports = {
+  departments,
+  ISO_DIR,
+  loadSharedModules,
+  validateEntry,
+  prepareUpload,
+  showImageUploadGuide
+};
@@ -0,0 +1,107 @@
+/**
+ * ISO文件知識庫上傳工具（改進版）
+ * 此腳本從iso-documents目錄讀取ISO文件並上傳到Cloudflare KV存儲
+ * 使用方法:
+ * 1. 將ISO知識條目JSON文件放入iso-documents/部門/文件名.json
+ * 2. 運行腳本: node upload-iso-files.cjs
+ * 3. 運行產生的wrangler命令上傳到KV存儲
+ */
+
+const fs = require('fs');
+const path = require('path');
+const uploadCommon = require('./upload-common.cjs');
+
+const { departments, ISO_DIR } = uploadCommon;
+
+// 讀取ISO文件
+function readIsoFiles(mediaUtils) {
+  const isoKnowledge = [];
+  const departmentFolders = departments.map(dept => dept.code);
+  
+  // 遍歷每個部門文件夾
+  departmentFolders.forEach(deptFolder => {
+    const deptPath = path.join(ISO_DIR, deptFolder);
+    
+    // 檢查部門目錄是否存在
+    if (fs.existsSync(deptPath)) {
+      // 讀取部門目錄中的所有JSON文件
+      const files = fs.readdirSync(deptPath);
+      
+      files.forEach(file => {
+        if (file.endsWith('.json')) {
+          const filePath = path.join(deptPath, file);
+          try {
+            // 讀取JSON文件內容
+            const fileContent = fs.readFileSync(filePath, 'utf8');
+            const knowledge = JSON.parse(fileContent);
+            
+            // 驗證知識條目，未設定更新時間時使用文件的修改時間
+            const entry = uploadCommon.validateEntry(knowledge, `文件 ${filePath}`, fs.statSync(filePath).mtime.toISOString(), mediaUtils);
+            if (!entry) {
+              return;
+            }
+            
+            // 確保ID以所在的部門目錄開頭
+            if (!entry.id.startsWith(`${deptFolder}-`)) {
+              console.warn(`警告: 文件 ${filePath} 的ID不是以 "${deptFolder}-" 開頭，這可能會導致部門分類錯誤。`);
+            }
+            
+            isoKnowledge.push(entry);
+            console.log(`成功讀取 ${filePath}`);
+          } catch (error) {
+            console.error(`錯誤: 無法讀取或解析 ${filePath}`, error);
+          }
+        }
+      });
+    } else {
+      console.warn(`警告: 部門目錄 ${deptPath} 不存在，已跳過`);
+    }
+  });
+  
+  console.log(`總共讀取了 ${isoKnowledge.length} 個ISO文件知識條目`);
+  return isoKnowledge;
+}
+
+// ISO文件模板指南
+function showIsoTemplateGuide() {
+  console.log('\n=== ISO文件模板指南 ===');
+  console.log('創建新的ISO文件時，請遵循以下JSON格式：');
+  console.log(`{
+  "id": "部門-文件標識",             // 例如: "icu-blood-pressure"
+  "keywords": ["關鍵詞1", "關鍵詞2"], // 用戶可能會用來搜索此文件的關鍵詞
+  "text": "# ISO文件標題\\n\\n正文內容...", // 使用Markdown格式
+  "imageUrl": "圖片URL",             // 可選：HTTPS的JPEG或PNG檔案
+  "videoUrl": "影片URL",             // 可選：HTTPS的MP4檔案，或YouTube等影片網頁
+  "videoPreviewUrl": "預覽圖URL",    // 可選：HTTPS的JPEG或PNG檔案，videoUrl為MP4時必填
+  "images": [                        // 可選：照片，anchor對應小節（step-3、section-2），以圖片輪播顯示
+    { "url": "圖片URL", "anchor": "step-1", "caption": "說明" }
+  ],
+  "order": 1,                        // 可選：部門列表中的顯示順序（數字越小越前面）
+  "tags": ["標籤1"],                 // 可選：部門列表中的分類標籤
+  "updatedAt": "2024-10-01"          // 可選：更新日期，未設定時使用文件修改時間
+}`);
+  console.log('\n將文件保存為：iso-documents/部門/文件標識.json');
+}
+
+// 主函數
+async function main() {
+  // 從ISO目錄讀取文件
+  const modules = await uploadCommon.loadSharedModules();
+  const isoKnowledge = readIsoFiles(modules.mediaUtils);
+  
+  if (isoKnowledge.length === 0) {
+    console.log('沒有找到任何ISO文件知識條目。請先在iso-documents目錄下添加JSON文件再運行此腳本。');
+    showIsoTemplateGuide();
+    return;
+  }
+  
+  uploadCommon.prepareUpload(isoKnowledge, modules);
+  showIsoTemplateGuide();
+  uploadCommon.showImageUploadGuide();
+}
+
+// 執行主函數
+main().catch(error => {
+  console.error('錯誤: 上傳準備失敗', error);
+  process.exit(1);
+}); 
\ No newline at end of file
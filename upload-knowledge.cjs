@@ -0,0 +1,117 @@
+/**
+ * ISO文件知識庫上傳工具
+ * 此腳本用於將ISO文件知識庫數據上傳到Cloudflare KV存儲
+ * 使用方法:
+ * 1. 添加ISO知識條目到下方的isoKnowledge陣列中
+ * 2. 運行腳本: node upload-knowledge.cjs
+ * 3. 運行產生的wrangler命令上傳到KV存儲
+ */
+
+const fs = require('fs');
+const uploadCommon = require('./upload-common.cjs');
+
+// 這裡添加ISO文件知識條目
+const isoKnowledge = [
+  // ICU部門 - CVVH手動裝置教學
+  {
+    id: 'icu-cvvh-setup',
+    keywords: ['CVVH', '連續性靜脈靜脈血液過濾', 'CVVH裝置', 'CVVH安裝', 'CVVH設定', '血液透析', 'ICU透析', '重症透析'],
+    text: `# CVVH 手動裝置教學步驟指引
+
+#### Step 1：Set 組件裝入
+- 操作指示：整個 set 依箭頭方向⬇️向下卡入固定槽。
+- 圖片輔助：提供實際照片標示箭頭方向。
+
+#### Step 2：粗軟管安裝
+- 操作指示：將粗軟管卡入四個齒輪⚙️中，對應顏色放置。
+- 提示：對錯誤放置提供警示訊息。
+
+#### Step 3：右側管路安裝
+- 操作指示：將右側管路自上而下塞入導槽固定。
+
+#### Step 4：病人管路對接
+- 操作指示：與病人端管路對接後，掛上機器右側掛鉤。
+
+#### Step 5：VAPU 管路安裝
+- 操作指示：四根管子對應插入四個指定洞口（名稱標示清楚），並旋緊固定。
+
+#### Step 6：過濾器接合
+- 操作指示：
+  - 左側過濾器安裝。
+  - EKG line 接上藍頭端。
+  - 另一端接上濾器外管連接點。
+  - 紅頭凸點無需接線。
+
+#### Step 7：底部設備安裝
+- 操作指示：
+  - 放置廢液桶、補充液至正確位置。
+  - 圖片輔助：顯示實物放置位置。
+
+#### Step 8：加溫管纏繞
+- 操作指示：
+  - 細長軟管由後往前逆時針纏繞。
+  - 預留 5 公分空間避免卡住。
+
+#### Step 9：夾具固定
+- 操作指示：確認機器左上、右上兩側夾具 Lock 住。
+
+#### Step 10：啟動 priming
+- 操作指示：確認所有步驟完成後，啟動 priming 程序。
+
+#### 注意事項
+- 整個安裝過程須保持無菌操作。
+- 確保所有連接處都已確實固定，避免漏液。
+- 遇到警示訊息請勿忽略，應立即檢查並排除故障。
+
+#### 教學影片參考
+- 可觀看教學影片以獲得更直觀的指導：https://www.youtube.com/watch?v=CXmG1o3RjQk`,
+    imageUrl: '',  // 移除圖片URL
+    videoUrl: 'https://www.youtube.com/watch?v=CXmG1o3RjQk'
+  },
+  
+  // 示例格式（請使用實際ISO文件內容替換）:
+  /*
+  {
+    id: 'iso-document-id',               // 文件唯一標識符
+    keywords: ['關鍵詞1', '關鍵詞2'],     // 用於查詢匹配的關鍵詞
+    text: `ISO文件內容...`,               // 文件主要內容
+    imageUrl: 'https://example.com/images/image.jpg',  // 可選：相關圖片URL
+    videoUrl: 'https://example.com/videos/video.mp4',  // 可選：相關影片URL
+    videoPreviewUrl: 'https://example.com/images/preview.jpg'  // 可選：影片預覽圖URL
+  }
+  */
+];
+
+// 驗證知識條目，未設定更新時間時使用本腳本的修改時間
+function validateKnowledge(mediaUtils) {
+  const fallbackUpdatedAt = fs.statSync(__filename).mtime.toISOString();
+  
+  return isoKnowledge
+    .map((knowledge, index) => uploadCommon.validateEntry(knowledge, `isoKnowledge[${index}]`, fallbackUpdatedAt, mediaUtils))
+    .filter(Boolean);
+}
+
+// 主函數
+async function main() {
+  if (isoKnowledge.length === 0) {
+    console.log('尚未添加任何ISO文件知識條目。請先在isoKnowledge陣列中添加內容再運行此腳本。');
+    return;
+  }
+  
+  const modules = await uploadCommon.loadSharedModules();
+  const validKnowledge = validateKnowledge(modules.mediaUtils);
+  
+  if (validKnowledge.length === 0) {
+    console.log('isoKnowledge陣列中沒有有效的知識條目，請修正上方的錯誤後再運行此腳本。');
+    return;
+  }
+  
+  uploadCommon.prepareUpload(validKnowledge, modules);
+  uploadCommon.showImageUploadGuide();
+}
+
+// 執行主函數
+main().catch(error => {
+  console.error('錯誤: 上傳準備失敗', error);
+  process.exit(1);
+}); 
\ No newline at end of file
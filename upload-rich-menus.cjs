@@ -0,0 +1,108 @@
+/**
+ * 圖文選單建立工具
+ * 此腳本依 src/line/rich-menus.js 的定義建立或更新主選單與各部門選單，並以別名指向最新版本
+ * 使用方法:
+ * 1. 將選單圖片（2500x1686的PNG或JPEG，最多1MB）放入 rich-menus/ 目錄，檔名見選單定義的 image
+ * 2. 檢查選單配置: node upload-rich-menus.cjs --dry-run
+ * 3. 建立選單: LINE_CHANNEL_ACCESS_TOKEN=... node upload-rich-menus.cjs
+ * 4. 確認新選單無誤後，可加上 --prune 刪除別名原本指向的舊選單
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 與Worker共用的圖文選單定義、配置與LINE客戶端（為ES模組須以import()載入）
+const RICH_MENUS_MODULE = './src/line/rich-menus.js';
+const CONFIG_MODULE = './src/utils/config.js';
+const CLIENT_MODULE = './src/line/client.js';
+
+// 選單圖片的格式
+const IMAGE_CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg'
+};
+
+// LINE限制選單圖片最多1MB
+const MAX_IMAGE_BYTES = 1024 * 1024;
+
+// 讀取選單圖片
+function readMenuImage(definition) {
+  const contentType = IMAGE_CONTENT_TYPES[path.extname(definition.image).toLowerCase()];
+  if (!contentType) {
+    throw new Error(`選單 ${definition.alias} 的圖片 ${definition.image} 必須是PNG或JPEG`);
+  }
+  
+  if (!fs.existsSync(definition.image)) {
+    throw new Error(`找不到選單 ${definition.alias} 的圖片 ${definition.image}`);
+  }
+  
+  const data = fs.readFileSync(definition.image);
+  if (data.length > MAX_IMAGE_BYTES) {
+    throw new Error(`選單 ${definition.alias} 的圖片 ${definition.image} 超過1MB`);
+  }
+  
+  return { data, contentType };
+}
+
+// 顯示選單配置
+function showDefinitions(definitions, richMenus) {
+  definitions.forEach((definition, index) => {
+    const richMenu = richMenus.toRichMenuObject(definition);
+    const defaultLabel = index === 0 ? '（預設選單）' : '';
+    
+    console.log(`\n${richMenus.getRichMenuAliasId(definition.alias)}${defaultLabel}：${definition.name}，圖片 ${definition.image}`);
+    richMenu.areas.forEach(area => {
+      const { x, y, width, height } = area.bounds;
+      console.log(`  ${area.action.label}：(${x}, ${y}) ${width}x${height} ${area.action.text || area.action.data}`);
+    });
+  });
+}
+
+// 主函數
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const prune = process.argv.includes('--prune');
+  
+  const { default: richMenus } = await import(RICH_MENUS_MODULE);
+  const definitions = richMenus.getRichMenuDefinitions();
+  
+  showDefinitions(definitions, richMenus);
+  if (dryRun) {
+    console.log('\n--dry-run：未建立任何選單');
+    return;
+  }
+  
+  if (!process.env.LINE_CHANNEL_ACCESS_TOKEN) {
+    throw new Error('請以環境變數 LINE_CHANNEL_ACCESS_TOKEN 提供頻道存取權杖');
+  }
+  
+  // 先讀取所有圖片，避免建立到一半才發現缺少圖片
+  const images = definitions.map(readMenuImage);
+  
+  // 與Worker使用同一個LINE客戶端，經過傳輸層重試429、5xx並將錯誤分類
+  const { default: config } = await import(CONFIG_MODULE);
+  config.setEnv(process.env);
+  const { default: lineClient } = await import(CLIENT_MODULE);
+  
+  for (const [index, definition] of definitions.entries()) {
+    const result = await lineClient.provisionRichMenu(definition, images[index], { isDefault: index === 0 });
+    console.log(`\n已建立選單 ${result.aliasId} -> ${result.richMenuId}`);
+    
+    if (result.previousRichMenuId && prune) {
+      // 已連結舊選單的用戶會被解除連結，改為顯示預設選單
+      await lineClient.deleteRichMenu(result.previousRichMenuId);
+      console.log(`已刪除舊選單 ${result.previousRichMenuId}`);
+    } else if (result.previousRichMenuId) {
+      console.log(`舊選單 ${result.previousRichMenuId} 仍保留，確認無誤後可加上 --prune 刪除`);
+    }
+  }
+  
+  console.log('\n圖文選單建立完成');
+}
+
+// 執行主函數
+main().catch(error => {
+  console.error('錯誤: 圖文選單建立失敗', error);
+  process.exit(1);
+});